@@ -2,6 +2,14 @@
 import express from 'express';
 import cors from 'cors';
 import { PrismaClient } from '@prisma/client';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { unzipSync, zipSync } from 'fflate';
+import busboy from 'busboy';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { parse as parseCsv } from 'csv-parse/sync';
+import { AsyncLocalStorage } from 'async_hooks';
 
 console.log('[INIT] Starting server initialization...');
 console.log('[INIT] NODE_ENV:', process.env.NODE_ENV);
@@ -16,7 +24,7 @@ console.log('[INIT] Creating PrismaClient...');
 try {
   prisma = new PrismaClient({
     log: ['error', 'warn'],
-  });
+  }).$extends(planningEventsExtension());
   console.log('[INIT] ✅ PrismaClient created');
 } catch (e) {
   console.error('[INIT] ❌ Prisma initialization failed ->', e.message);
@@ -34,6 +42,7 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['Content-Disposition', 'X-Total-Count', 'X-Limit', 'X-Page', 'X-Next-Cursor'],
   optionsSuccessStatus: 200,
   maxAge: 86400,
 };
@@ -48,6 +57,7 @@ app.use((req, res, next) => {
   res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS,PATCH,HEAD');
   res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With');
   res.header('Access-Control-Allow-Credentials', 'true');
+  res.header('Access-Control-Expose-Headers', 'Content-Disposition,X-Total-Count,X-Limit,X-Page,X-Next-Cursor');
   res.header('Access-Control-Max-Age', '86400');
   
   console.log(`[CORS] ${req.method} ${req.path} from ${origin}`);
@@ -60,35 +70,76 @@ app.use((req, res, next) => {
   next();
 });
 app.use(express.json());
-app.use(express.text()); // Pour traiter les fichiers en texte brut
+// Pour traiter les fichiers en texte brut (les imports lisent les octets bruts pour détecter l'encodage)
+app.use(express.text({ type: (req) => Boolean(req.is('text/plain')) && !req.path.startsWith('/api/import/') }));
+
+// Envois multipart/form-data (imports) : lecture en flux avec busboy, limites de taille et de nombre
+const UPLOAD_LIMITS = {
+  fileSize: (Number(process.env.UPLOAD_MAX_FILE_MB) || 20) * 1024 * 1024,
+  files: 10,
+  fields: 50,
+  fieldSize: 1024 * 1024,
+  // Taille totale une fois décompressés des fichiers d'une archive zip importée (GTFS, XLSX)
+  unzippedSize: (Number(process.env.UPLOAD_MAX_UNZIPPED_MB) || 200) * 1024 * 1024,
+};
 
-// Middleware custom pour multipart/form-data (fichiers)
-app.use((req, res, next) => {
-  if (req.headers['content-type']?.includes('multipart/form-data')) {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
-    req.on('end', () => {
-      // Parser simple du multipart
-      const boundary = req.headers['content-type'].split('boundary=')[1];
-      const parts = body.split(`--${boundary}`);
-      
-      for (const part of parts) {
-        if (part.includes('filename=')) {
-          const match = part.match(/\r\n\r\n([\s\S]*?)\r\n/);
-          if (match) {
-            req.csvContent = match[1];
-            break;
-          }
+// -> { fields, files: [{ fieldname, filename, mimeType, buffer, size }] } ; erreur avec `status` (400, 413)
+function parseMultipart(req) {
+  return new Promise((resolve, reject) => {
+    let bb;
+    try {
+      bb = busboy({ headers: req.headers, limits: UPLOAD_LIMITS, defParamCharset: 'utf8' });
+    } catch (e) {
+      return reject(Object.assign(new Error(`Requête multipart invalide : ${e.message}`), { status: 400 }));
+    }
+    const fields = {};
+    const files = [];
+    let failure = null;
+    const fail = (status, message) => {
+      if (!failure) failure = Object.assign(new Error(message), { status });
+    };
+
+    bb.on('field', (name, value, info) => {
+      if (info.valueTruncated) fail(413, `Champ « ${name} » trop long`);
+      fields[name] = value;
+    });
+    bb.on('file', (name, stream, info) => {
+      const chunks = [];
+      let size = 0;
+      stream.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+      });
+      stream.on('limit', () => {
+        fail(413, `Fichier « ${info.filename} » trop volumineux (max ${UPLOAD_LIMITS.fileSize / 1024 / 1024} Mo)`);
+      });
+      stream.on('close', () => {
+        if (!stream.truncated && info.filename) {
+          files.push({ fieldname: name, filename: info.filename, mimeType: info.mimeType, buffer: Buffer.concat(chunks), size });
         }
-      }
-      next();
+      });
     });
-  } else {
+    bb.on('filesLimit', () => fail(413, `Trop de fichiers (max ${UPLOAD_LIMITS.files})`));
+    bb.on('fieldsLimit', () => fail(413, `Trop de champs (max ${UPLOAD_LIMITS.fields})`));
+    bb.on('error', (e) => reject(Object.assign(new Error(`Requête multipart invalide : ${e.message}`), { status: 400 })));
+    bb.on('close', () => (failure ? reject(failure) : resolve({ fields, files })));
+    req.pipe(bb);
+  });
+}
+
+// Middleware des routes d'import : req.files + champs texte dans req.body
+async function multipartUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+  try {
+    const { fields, files } = await parseMultipart(req);
+    req.body = fields;
+    req.files = files;
     next();
+  } catch (e) {
+    console.error('[UPLOAD] multipart ERROR ->', e.message);
+    res.status(e.status || 400).json({ error: e.message });
   }
-});
+}
 
 // Short-circuit requests that need DB when Prisma is not ready
 const noDbPaths = new Set([
@@ -106,6 +157,268 @@ app.use((req, res, next) => {
   next();
 });
 
+// ---------- auth ----------
+const ROLES = {
+  REGULATEUR: 'Régulateur',
+  CHEF_EQUIPE: "Chef d'Équipe",
+  ATELIER: 'Atelier',
+  ADMIN: 'Admin',
+};
+const ALL_ROLES = Object.values(ROLES);
+const ROLES_EXPLOITATION = [ROLES.REGULATEUR, ROLES.CHEF_EQUIPE];
+
+const JWT_SECRET = process.env.JWT_SECRET || (isProduction ? null : 'tc-outil-dev-secret');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+// Jeton du flux SSE (?access_token=) : court et limité à l'abonnement, le jeton de session ne passe jamais dans l'URL
+const STREAM_TOKEN_PURPOSE = 'planning-events';
+const STREAM_TOKEN_EXPIRES_IN = '60s';
+if (!JWT_SECRET) {
+  console.error('[INIT] ❌ JWT_SECRET not set - every authenticated route will answer 500');
+}
+
+// Routes accessibles sans jeton
+const publicPaths = new Set([...noDbPaths, '/api/auth/login']);
+
+// Hash "salt:hash" (scrypt) pour ne pas dépendre de bcrypt
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || '').split(':');
+  if (!salt || !hash) return false;
+  const candidate = crypto.scryptSync(String(password), salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+function publicUser(u) {
+  return { id: u.id, username: u.username, nom: u.nom, prenom: u.prenom, role: u.role, actif: u.actif };
+}
+
+// Vérifie le jeton "Authorization: Bearer <jwt>" et expose req.user
+// Le compte est relu à chaque requête : un utilisateur désactivé ou supprimé perd l'accès aussitôt, un rôle modifié s'applique
+app.use(async (req, res, next) => {
+  if (publicPaths.has(req.path)) return next();
+  if (!JWT_SECRET) return res.status(500).json({ error: 'Authentication not configured' });
+
+  const header = req.headers.authorization || '';
+  let [scheme, token] = header.split(' ');
+  // Flux SSE : EventSource n'envoie pas d'en-tête Authorization -> jeton de flux (POST /api/planning/events/token)
+  const streamRequest = !token && req.path === '/api/planning/events' && Boolean(req.query.access_token);
+  if (streamRequest) [scheme, token] = ['Bearer', String(req.query.access_token)];
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentification requise' });
+  }
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (e) {
+    return res.status(401).json({ error: 'Jeton invalide ou expiré' });
+  }
+  if (streamRequest !== (payload.purpose === STREAM_TOKEN_PURPOSE)) {
+    return res.status(401).json({ error: streamRequest ? 'Jeton de flux attendu en access_token' : 'Jeton de flux non valable pour cette requête' });
+  }
+
+  let user;
+  try {
+    user = await prisma.user.findUnique({ where: { id: String(payload.sub) } });
+  } catch (e) {
+    console.error('[AUTH] user lookup ERROR ->', e);
+    return res.status(500).json({ error: 'Vérification du compte impossible' });
+  }
+  if (!user || !user.actif) return res.status(401).json({ error: 'Compte désactivé ou supprimé' });
+  req.user = { id: user.id, username: user.username, role: user.role, nom: user.nom, prenom: user.prenom };
+  next();
+});
+
+// Nom lisible de l'auteur d'une modification (historiques, audit)
+function authorOf(req) {
+  const u = req.user;
+  if (!u) return null;
+  const name = [u.prenom, u.nom].filter(Boolean).join(' ');
+  return name ? `${name} (${u.username})` : u.username;
+}
+
+// requireRole(...roles) : Admin passe toujours, sinon le rôle doit être listé
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const role = req.user?.role;
+    if (role === ROLES.ADMIN || roles.includes(role)) return next();
+    return res.status(403).json({ error: 'Accès refusé pour ce rôle', role: role || null, allowed: [ROLES.ADMIN, ...roles] });
+  };
+}
+
+// ========== FLUX TEMPS RÉEL DU PLANNING (SSE) ==========
+// Toute écriture Prisma sur Service, Pointage, Conducteur (et statut Vehicle) produit un événement,
+// quelle que soit la route. Les événements d'une requête partent à la fin de la réponse, si elle réussit :
+// une transaction annulée (erreur, import en simulation) ne diffuse rien.
+
+const planningEventContext = new AsyncLocalStorage();
+const planningSubscribers = new Set();
+const PLANNING_EVENT_BUFFER = 500; // rejoués à la reconnexion (Last-Event-ID)
+const planningEventLog = [];
+let planningEventSeq = 0;
+
+const PLANNING_EVENT_MODELS = new Set(['Service', 'Pointage', 'Vehicle', 'Conducteur']);
+const PLANNING_WRITE_OPERATIONS = new Set(['create', 'update', 'upsert', 'delete', 'createMany', 'updateMany', 'deleteMany']);
+const PLANNING_ACTIONS = { create: 'create', createMany: 'create', update: 'update', updateMany: 'update', upsert: 'update', delete: 'delete', deleteMany: 'delete' };
+
+// Champs modifiés -> valeurs diffusées (hors champs JSON : fiches conducteur, options...) + liste des champs
+function planningEventChanges(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { champs: [], changes: null };
+  const entries = Object.entries(data).filter(([, v]) => v !== undefined);
+  const changes = {};
+  for (const [k, v] of entries) {
+    if (k.endsWith('Json')) continue;
+    if (v instanceof Date) changes[k] = v.toISOString();
+    else if (v === null || typeof v !== 'object') changes[k] = v;
+  }
+  return { champs: entries.map(([k]) => k), changes };
+}
+
+// Événement(s) d'une écriture Prisma : id, changement, date et ligne pour le filtrage des abonnés
+function planningEventsFor(model, operation, args, result) {
+  const action = PLANNING_ACTIONS[operation];
+  const data = operation === 'upsert' ? (Object.keys(args.update || {}).length ? args.update : args.create) : args.data;
+  // Véhicules : seuls les changements de statut (et créations / suppressions) concernent le planning
+  if (model === 'Vehicle' && action === 'update' && data?.statut === undefined) return [];
+
+  if (['createMany', 'updateMany', 'deleteMany'].includes(operation)) {
+    const rows = operation === 'createMany' ? [].concat(args.data || []) : [];
+    const where = args.where || {};
+    const dates = rows.length ? [...new Set(rows.map(r => toDayKey(r.date)).filter(Boolean))]
+      : (where.date instanceof Date ? [toDayKey(where.date)] : []);
+    const ligneIds = rows.length ? [...new Set(rows.map(r => r.ligneId).filter(Boolean))]
+      : (typeof where.ligneId === 'string' ? [where.ligneId] : []);
+    return [{
+      entity: model,
+      action,
+      ids: Array.isArray(where.id?.in) ? where.id.in : undefined,
+      count: result?.count ?? rows.length,
+      ...(operation === 'createMany' ? {} : planningEventChanges(data)),
+      dates,
+      ligneIds,
+    }];
+  }
+
+  const record = result || {};
+  const service = model === 'Service' ? record : record.service;
+  return [{
+    entity: model,
+    action,
+    entityId: model === 'Vehicle' ? record.parc : record.id,
+    serviceId: model === 'Pointage' ? record.serviceId : undefined,
+    ...(action === 'delete' ? { champs: [], changes: null } : planningEventChanges(data)),
+    dates: service?.date ? [toDayKey(service.date)] : [],
+    ligneIds: service?.ligneId ? [service.ligneId] : [],
+  }];
+}
+
+// Extension Prisma : capte les écritures sur les modèles suivis (clients de transaction compris)
+function planningEventsExtension() {
+  return {
+    query: {
+      $allModels: {
+        async $allOperations({ model, operation, args, query }) {
+          const result = await query(args);
+          if (PLANNING_EVENT_MODELS.has(model) && PLANNING_WRITE_OPERATIONS.has(operation)) {
+            try {
+              queuePlanningEvents(planningEventsFor(model, operation, args, result));
+            } catch (e) {
+              console.error('[EVENTS] planning event ERROR ->', e.message);
+            }
+          }
+          return result;
+        },
+      },
+    },
+  };
+}
+
+// Dans une requête : mis en attente jusqu'à la réponse ; hors requête (tâches de fond) : diffusé tout de suite
+function queuePlanningEvents(events) {
+  if (!events.length) return;
+  const ctx = planningEventContext.getStore();
+  if (ctx) ctx.events.push(...events);
+  else publishPlanningEvents(events, 'Système');
+}
+
+// Écritures de la requête en cours à ne pas diffuser (simulation)
+function discardPlanningEvents() {
+  const ctx = planningEventContext.getStore();
+  if (ctx) ctx.discard = true;
+}
+
+function publishPlanningEvents(events, author) {
+  for (const e of events) {
+    const event = { id: ++planningEventSeq, at: new Date().toISOString(), author: author || null, ...e };
+    planningEventLog.push(event);
+    if (planningEventLog.length > PLANNING_EVENT_BUFFER) planningEventLog.shift();
+    for (const sub of planningSubscribers) {
+      if (planningEventMatches(sub.filter, event)) writePlanningEvent(sub.res, event);
+    }
+  }
+}
+
+// Filtre d'abonnement : un événement sans date / ligne connue (véhicule, conducteur, opération en masse) passe toujours
+function planningEventMatches(filter, event) {
+  if (filter.dates.length && event.dates.length && !event.dates.some(d => filter.dates.includes(d))) return false;
+  if (filter.ligneIds.length && event.ligneIds.length && !event.ligneIds.some(l => filter.ligneIds.includes(l))) return false;
+  return true;
+}
+
+function writePlanningEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: planning\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// Contexte par requête : auteur et événements en attente
+app.use((req, res, next) => {
+  const ctx = { events: [], discard: false };
+  res.on('finish', () => {
+    if (ctx.discard || res.statusCode >= 400 || !ctx.events.length) return;
+    publishPlanningEvents(ctx.events, authorOf(req));
+  });
+  planningEventContext.run(ctx, next);
+});
+
+const queryList = (v) => [].concat(v ?? []).flatMap(x => String(x).split(',')).map(x => x.trim()).filter(Boolean);
+
+// JETON DE FLUX -> { token, expiresIn } : à passer en ?access_token= à l'ouverture (et à chaque reconnexion) du flux
+app.post('/api/planning/events/token', (req, res) => {
+  const token = jwt.sign({ sub: req.user.id, purpose: STREAM_TOKEN_PURPOSE }, JWT_SECRET, { expiresIn: STREAM_TOKEN_EXPIRES_IN });
+  res.json({ token, expiresIn: STREAM_TOKEN_EXPIRES_IN });
+});
+
+// ABONNEMENT ?date=YYYY-MM-DD&ligneId= (plusieurs valeurs séparées par des virgules)
+// EventSource ne pouvant pas envoyer d'en-tête, un jeton de flux (ci-dessus) est passé en ?access_token=
+app.get('/api/planning/events', (req, res) => {
+  const dates = queryList(req.query.date).map(toDayKey);
+  if (dates.some(d => !d)) return res.status(400).json({ error: 'Paramètre date invalide (YYYY-MM-DD)' });
+  const sub = { res, filter: { dates, ligneIds: queryList(req.query.ligneId) } };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: 5000\n: abonné ${JSON.stringify(sub.filter)}\n\n`);
+
+  // Reconnexion : événements manqués encore en mémoire
+  const lastId = Number(req.headers['last-event-id'] || req.query.lastEventId);
+  if (lastId) {
+    planningEventLog.filter(e => e.id > lastId && planningEventMatches(sub.filter, e)).forEach(e => writePlanningEvent(res, e));
+  }
+
+  planningSubscribers.add(sub);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    planningSubscribers.delete(sub);
+  });
+});
+
 // ---------- helpers ----------
 function parseDateFlexible(val) {
   if (!val) return null;
@@ -142,6 +455,70 @@ function getTodayDateParis() {
   return `${year}-${month}-${day}`;
 }
 
+// Décalage Europe/Paris (minutes) à l'instant donné (gère l'heure d'été)
+function parisOffsetMinutes(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'Europe/Paris',
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+// Instant UTC correspondant à minuit, heure de Paris (month 1-12)
+function parisMidnight(year, month, day) {
+  const guess = new Date(Date.UTC(year, month - 1, day));
+  return new Date(guess.getTime() - parisOffsetMinutes(guess) * 60000);
+}
+
+// "HH:mm" -> minutes depuis minuit
+function timeToMinutes(hhmm) {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+// Intervalle absolu d'un service en minutes (base : jour UTC de service.date)
+// heureFin <= heureDebut => le service passe minuit et finit le lendemain
+function serviceInterval({ date, heureDebut, heureFin }) {
+  const day = Math.floor(new Date(date).getTime() / 86400000);
+  const start = day * 1440 + timeToMinutes(heureDebut);
+  let end = day * 1440 + timeToMinutes(heureFin);
+  if (end <= start) end += 1440;
+  return { start, end };
+}
+
+// Services (hors annulés) qui chevauchent `candidate`, filtrés par `where` (conducteur, véhicule...)
+// On charge la veille et le lendemain pour attraper les services qui passent minuit
+async function findOverlappingServices(db, where, candidate) {
+  const day = Math.floor(new Date(candidate.date).getTime() / 86400000) * 86400000;
+  const others = await db.service.findMany({
+    where: {
+      ...where,
+      id: candidate.id ? { not: candidate.id } : undefined,
+      statut: { not: 'Annulée' },
+      date: { gte: new Date(day - 86400000), lt: new Date(day + 2 * 86400000) },
+    },
+    include: { ligne: { select: { id: true, numero: true, nom: true } } },
+  });
+  const iv = serviceInterval(candidate);
+  return (await filterServicesPerCalendar(db, others)).filter(o => {
+    const other = serviceInterval(o);
+    return other.start < iv.end && iv.start < other.end;
+  });
+}
+
+function parseJsonArray(val) {
+  try {
+    const arr = JSON.parse(val || '[]');
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
 // ---------- ping ----------
 app.get('/', (_req, res) => res.send('TC Outil API - Voyages TC Essonnes'));
 
@@ -224,22 +601,315 @@ app.get('/api/diagnostic', async (_req, res) => {
   }
 });
 
-// ========== VEHICLES ==========
+// ========== AUTH & UTILISATEURS ==========
+
+// LOGIN -> { token, user }
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Champs requis manquants', missing: ['username', 'password'].filter(k => !req.body?.[k]) });
+    }
+    if (!JWT_SECRET) return res.status(500).json({ error: 'Authentication not configured' });
+
+    const user = await prisma.user.findUnique({ where: { username: String(username).trim() } });
+    if (!user || !user.actif || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ error: 'Identifiants invalides' });
+    }
+
+    const token = jwt.sign(
+      { sub: user.id, username: user.username, role: user.role, nom: user.nom, prenom: user.prenom },
+      JWT_SECRET,
+      { expiresIn: JWT_EXPIRES_IN }
+    );
+    res.json({ token, expiresIn: JWT_EXPIRES_IN, user: publicUser(user) });
+  } catch (e) {
+    console.error('POST /api/auth/login ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// Utilisateur courant (d'après le jeton)
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
+});
 
 // LIST
-app.get('/api/vehicles', async (_req, res) => {
+app.get('/api/users', requireRole(), async (_req, res) => {
+  try {
+    const users = await prisma.user.findMany({ orderBy: { username: 'asc' } });
+    res.json(users.map(publicUser));
+  } catch (e) {
+    console.error('GET /api/users ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// CREATE
+app.post('/api/users', requireRole(), async (req, res) => {
+  try {
+    const b = req.body;
+    const missing = [];
+    if (!b.username) missing.push('username');
+    if (!b.password) missing.push('password');
+    if (!b.role) missing.push('role');
+    if (missing.length) return res.status(400).json({ error: 'Champs requis manquants', missing });
+    if (!ALL_ROLES.includes(b.role)) return res.status(400).json({ error: 'Rôle inconnu', roles: ALL_ROLES });
+
+    const user = await prisma.user.create({
+      data: {
+        username: String(b.username).trim(),
+        passwordHash: hashPassword(b.password),
+        nom: b.nom || null,
+        prenom: b.prenom || null,
+        role: b.role,
+        actif: b.actif !== undefined ? !!b.actif : true,
+      },
+    });
+    res.status(201).json(publicUser(user));
+  } catch (e) {
+    console.error('POST /api/users ERROR ->', e);
+    res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// UPDATE (mot de passe optionnel)
+app.put('/api/users/:id', requireRole(), async (req, res) => {
+  try {
+    const b = req.body;
+    if (b.role !== undefined && !ALL_ROLES.includes(b.role)) {
+      return res.status(400).json({ error: 'Rôle inconnu', roles: ALL_ROLES });
+    }
+    const data = {
+      nom: b.nom ?? undefined,
+      prenom: b.prenom ?? undefined,
+      role: b.role ?? undefined,
+      actif: b.actif !== undefined ? !!b.actif : undefined,
+      passwordHash: b.password ? hashPassword(b.password) : undefined,
+    };
+
+    const user = await prisma.user.update({ where: { id: req.params.id }, data });
+    res.json(publicUser(user));
+  } catch (e) {
+    console.error('PUT /api/users/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DELETE
+app.delete('/api/users/:id', requireRole(), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'Impossible de supprimer son propre compte' });
+    }
+    await prisma.user.delete({ where: { id: req.params.id } });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ========== LISTES (pagination, tri, filtres) ==========
+// Paramètres communs des routes de liste :
+//   ?limit=&page= (1, 2...) ou ?limit=&cursor= (clé du dernier élément reçu), ?sort=champ,-champ, ?q=texte
+// Le corps reste un tableau ; X-Total-Count, X-Limit, X-Page et X-Next-Cursor portent la pagination.
+// Sans limit / page / cursor : toutes les lignes, comme avant.
+
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 500;
+
+function listQueryError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// spec : { key (champ unique, sert de curseur), sortable, defaultSort ("champ,-champ"), searchFields (["nom", "ligne.numero"]) }
+// -> { key, limit, page, cursor, findArgs (orderBy/take/skip/cursor Prisma), where(filtres) }
+function parseListQuery(query, spec) {
+  const orderBy = String(query.sort || spec.defaultSort).split(',').map(s => s.trim()).filter(Boolean).map((s) => {
+    const desc = s.startsWith('-');
+    const field = desc ? s.slice(1) : s;
+    if (!spec.sortable.includes(field)) throw listQueryError(`Tri impossible sur "${field}" (champs : ${spec.sortable.join(', ')})`);
+    return { [field]: desc ? 'desc' : 'asc' };
+  });
+  // Clé unique en dernier critère : ordre stable, nécessaire au curseur
+  if (!orderBy.some(o => o[spec.key])) orderBy.push({ [spec.key]: 'asc' });
+
+  const page = query.page !== undefined ? Number(query.page) : null;
+  const cursor = query.cursor ? String(query.cursor) : null;
+  if (page !== null && (!Number.isInteger(page) || page < 1)) throw listQueryError('page doit être un entier >= 1');
+  if (page !== null && cursor) throw listQueryError('page et cursor ne peuvent pas être combinés');
+  let limit = query.limit !== undefined ? Number(query.limit) : null;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > LIST_MAX_LIMIT)) {
+    throw listQueryError(`limit doit être compris entre 1 et ${LIST_MAX_LIMIT}`);
+  }
+  if (limit === null && (page !== null || cursor)) limit = LIST_DEFAULT_LIMIT;
+
+  // ?q= : "contient" sur chacun des champs de recherche (chemins "relation.champ" acceptés)
+  const q = String(query.q || '').trim();
+  const search = q
+    ? { OR: spec.searchFields.map(path => path.split('.').reduceRight((acc, k) => ({ [k]: acc }), { contains: q })) }
+    : null;
+
+  return {
+    key: spec.key,
+    limit,
+    page,
+    cursor,
+    findArgs: {
+      orderBy,
+      ...(limit ? { take: limit } : {}),
+      ...(page ? { skip: (page - 1) * limit } : {}),
+      ...(cursor ? { cursor: { [spec.key]: cursor }, skip: 1 } : {}),
+    },
+    where: (filters) => (search ? { AND: [filters, search] } : filters),
+  };
+}
+
+// ?xxxFrom=&xxxTo= : jours YYYY-MM-DD inclus (jours de Paris si `paris`) ou instants ISO -> filtre Prisma
+function listDateRange(from, to, { paris = false } = {}) {
+  if (!from && !to) return undefined;
+  // Début du jour `key` (+ offset jours) ; Date.UTC / parisMidnight normalisent les débordements de mois
+  const dayStart = (key, offset = 0) => {
+    const [y, m, d] = key.split('-').map(Number);
+    return paris ? parisMidnight(y, m, d + offset) : new Date(Date.UTC(y, m - 1, d + offset));
+  };
+  const range = {};
+  for (const [value, end] of [[from, false], [to, true]]) {
+    if (!value) continue;
+    const v = String(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+      if (end) range.lt = dayStart(v, 1);
+      else range.gte = dayStart(v);
+      continue;
+    }
+    const date = new Date(v);
+    if (isNaN(date.getTime())) throw listQueryError(`Date invalide : ${v}`);
+    range[end ? 'lte' : 'gte'] = date;
+  }
+  return range;
+}
+
+function listBool(value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw listQueryError(`Booléen attendu (true/false) : ${value}`);
+}
+
+// Valeur simple ou liste "a,b" -> filtre Prisma (equals / in)
+function listIn(value) {
+  const values = queryList(value);
+  if (!values.length) return undefined;
+  return values.length === 1 ? values[0] : { in: values };
+}
+
+// Page d'une liste déjà chargée et filtrée en mémoire (même sémantique que findArgs)
+function paginateInMemory(rows, list) {
+  let start = 0;
+  if (list.cursor) {
+    const index = rows.findIndex(r => String(r[list.key]) === list.cursor);
+    if (index < 0) throw listQueryError(`Curseur inconnu ou expiré : ${list.cursor}`);
+    start = index + 1;
+  } else if (list.page) start = (list.page - 1) * list.limit;
+  return list.limit ? rows.slice(start, start + list.limit) : rows.slice(start);
+}
+
+function sendList(res, rows, total, list) {
+  res.setHeader('X-Total-Count', String(total));
+  if (list.limit) {
+    res.setHeader('X-Limit', String(list.limit));
+    if (list.page) res.setHeader('X-Page', String(list.page));
+    if (rows.length === list.limit) res.setHeader('X-Next-Cursor', String(rows[rows.length - 1][list.key]));
+  }
+  res.json(rows);
+}
+
+// ========== VEHICLES ==========
+
+// LIST ?statut=&depot=&type=&marque=&pmr=&q=&sort=&limit=&page=|cursor=
+app.get('/api/vehicles', async (req, res) => {
   try {
     console.log('[API] GET /api/vehicles - prismaReady:', prismaReady);
     if (!prismaReady) {
       return res.status(503).json({ error: 'Database not ready' });
     }
-    const data = await prisma.vehicle.findMany({ orderBy: { parc: 'asc' } });
-    console.log('[API] GET /api/vehicles - found:', data.length);
-    res.json(data);
+    const list = parseListQuery(req.query, {
+      key: 'parc',
+      sortable: ['parc', 'type', 'modele', 'marque', 'immat', 'km', 'statut', 'depot', 'annee', 'ct', 'miseEnService', 'etatTechnique', 'proprete', 'etatInterieur'],
+      defaultSort: 'parc',
+      searchFields: ['parc', 'immat', 'modele', 'marque'],
+    });
+    const where = list.where({
+      statut: listIn(req.query.statut),
+      depot: listIn(req.query.depot),
+      type: listIn(req.query.type),
+      marque: listIn(req.query.marque),
+      pmr: listBool(req.query.pmr),
+    });
+    const [data, total] = await Promise.all([
+      prisma.vehicle.findMany({ where, ...list.findArgs }),
+      prisma.vehicle.count({ where }),
+    ]);
+    console.log('[API] GET /api/vehicles - found:', data.length, '/', total);
+    sendList(res, data, total, list);
   } catch (e) {
     console.error('GET /api/vehicles ERROR ->', e.message);
     console.error('Stack:', e.stack);
-    res.status(500).json({ error: String(e.message) });
+    res.status(e.status || 500).json({ error: String(e.message) });
+  }
+});
+
+// DISPONIBILITÉ FLOTTE ?from=YYYY-MM&to=YYYY-MM&depot=
+// Heures passées dans chaque statut, par véhicule et par mois (heure de Paris)
+app.get('/api/vehicles/availability', async (req, res) => {
+  try {
+    const currentMonth = getTodayDateParis().slice(0, 7);
+    const from = String(req.query.from || currentMonth);
+    const to = String(req.query.to || from);
+    if (!/^\d{4}-\d{2}$/.test(from) || !/^\d{4}-\d{2}$/.test(to) || from > to) {
+      return res.status(400).json({ error: 'Paramètres from/to attendus au format YYYY-MM (from <= to)' });
+    }
+
+    const months = monthsBetween(from, to);
+    const periodEnd = parisMonthRange(to).end;
+    const where = req.query.depot ? { depot: String(req.query.depot) } : {};
+    const vehicles = await findVehiclesWithStatusHistory(prisma, { where, orderBy: { parc: 'asc' } }, periodEnd);
+
+    const now = new Date();
+    const fleet = {};
+    const result = vehicles.map(v => {
+      const segments = vehicleStatusSegments(v, v.statesHistory, now);
+      return {
+        parc: v.parc,
+        type: v.type,
+        depot: v.depot,
+        statut: v.statut,
+        months: months.map(month => {
+          const { start, end } = parisMonthRange(month);
+          const hours = hoursByStatus(segments, start, end);
+          fleet[month] = fleet[month] || {};
+          for (const [st, h] of Object.entries(hours)) fleet[month][st] = (fleet[month][st] || 0) + h;
+          return { month, hours, availabilityRate: availabilityRate(hours) };
+        }),
+      };
+    });
+
+    res.json({
+      from,
+      to,
+      statutsDisponibles: VEHICLE_STATUTS_DISPONIBLES,
+      fleet: months.map(month => {
+        const hours = fleet[month] || {};
+        for (const k of Object.keys(hours)) hours[k] = Math.round(hours[k] * 100) / 100;
+        return { month, hours, availabilityRate: availabilityRate(hours) };
+      }),
+      vehicles: result,
+    });
+  } catch (e) {
+    console.error('GET /api/vehicles/availability ERROR ->', e);
+    res.status(400).json({ error: String(e) });
   }
 });
 
@@ -251,7 +921,7 @@ app.get('/api/vehicles/:parc', async (req, res) => {
 });
 
 // CREATE/UPSERT
-app.post('/api/vehicles', async (req, res) => {
+app.post('/api/vehicles', requireRole(ROLES.ATELIER), async (req, res) => {
   try {
     const b = req.body;
     const missing = [];
@@ -297,10 +967,21 @@ app.post('/api/vehicles', async (req, res) => {
       optionsSaeivJson: objToJsonOrNull(b.optionsSaeiv) ?? (b.optionsSaeivJson ?? null),
     };
 
-    const saved = await prisma.vehicle.upsert({
-      where: { parc: payload.parc },
-      update: payload,
-      create: payload,
+    const saved = await prisma.$transaction(async (tx) => {
+      const previous = await tx.vehicle.findUnique({ where: { parc: payload.parc }, select: { statut: true } });
+      const vehicle = await tx.vehicle.upsert({
+        where: { parc: payload.parc },
+        update: payload,
+        create: payload,
+      });
+      await recordVehicleStatusChange(tx, {
+        parc: vehicle.parc,
+        fromStatus: previous ? previous.statut : null,
+        toStatus: vehicle.statut,
+        note: b.statutNote,
+        author: authorOf(req),
+      });
+      return vehicle;
     });
 
     res.status(201).json(saved);
@@ -311,7 +992,7 @@ app.post('/api/vehicles', async (req, res) => {
 });
 
 // UPDATE (partial)
-app.put('/api/vehicles/:parc', async (req, res) => {
+app.put('/api/vehicles/:parc', requireRole(ROLES.ATELIER), async (req, res) => {
   try {
     const b = req.body;
     const data = {
@@ -352,9 +1033,22 @@ app.put('/api/vehicles/:parc', async (req, res) => {
         : (b.optionsSaeivJson ?? undefined),
     };
 
-    const updated = await prisma.vehicle.update({
-      where: { parc: req.params.parc },
-      data,
+    const updated = await prisma.$transaction(async (tx) => {
+      const previous = await tx.vehicle.findUnique({ where: { parc: req.params.parc }, select: { statut: true } });
+      const vehicle = await tx.vehicle.update({
+        where: { parc: req.params.parc },
+        data,
+      });
+      if (previous) {
+        await recordVehicleStatusChange(tx, {
+          parc: vehicle.parc,
+          fromStatus: previous.statut,
+          toStatus: vehicle.statut,
+          note: b.statutNote,
+          author: authorOf(req),
+        });
+      }
+      return vehicle;
     });
 
     res.json(updated);
@@ -365,7 +1059,7 @@ app.put('/api/vehicles/:parc', async (req, res) => {
 });
 
 // DELETE
-app.delete('/api/vehicles/:parc', async (req, res) => {
+app.delete('/api/vehicles/:parc', requireRole(ROLES.ATELIER), async (req, res) => {
   try {
     await prisma.vehicle.delete({ where: { parc: req.params.parc } });
     res.json({ ok: true });
@@ -374,42 +1068,331 @@ app.delete('/api/vehicles/:parc', async (req, res) => {
   }
 });
 
-// ========== CONDUCTEURS ==========
+// ========== HISTORIQUE DES STATUTS VÉHICULE ==========
+
+// Statuts comptés comme "disponible" dans les indicateurs de flotte
+const VEHICLE_STATUTS_DISPONIBLES = ['Disponible', 'En service'];
+
+// Écrit une ligne d'historique si le statut change (ou à la création du véhicule)
+async function recordVehicleStatusChange(db, { parc, fromStatus, toStatus, note, author }) {
+  if (!toStatus || fromStatus === toStatus) return null;
+  return db.vehicleStateHistory.create({
+    data: {
+      vehicleParc: parc,
+      fromStatus: fromStatus ?? null,
+      toStatus,
+      note: note ? String(note) : null,
+      author: author || null,
+    },
+  });
+}
 
-// LIST
-app.get('/api/conducteurs', async (_req, res) => {
+// Mois "YYYY-MM" -> { start, end } en heure de Paris
+function parisMonthRange(monthStr) {
+  const [y, m] = monthStr.split('-').map(Number);
+  return {
+    start: parisMidnight(y, m, 1),
+    end: m === 12 ? parisMidnight(y + 1, 1, 1) : parisMidnight(y, m + 1, 1),
+  };
+}
+
+// Liste des mois "YYYY-MM" de from à to inclus
+function monthsBetween(from, to) {
+  const months = [];
+  let [y, m] = from.split('-').map(Number);
+  const [yTo, mTo] = to.split('-').map(Number);
+  while (y < yTo || (y === yTo && m <= mTo)) {
+    months.push(`${y}-${String(m).padStart(2, '0')}`);
+    m++;
+    if (m > 12) { m = 1; y++; }
+  }
+  return months;
+}
+
+// Découpe la vie d'un véhicule en segments [start, end[ d'un même statut
+// history : lignes triées par changedAt croissant
+function vehicleStatusSegments(vehicle, history, now = new Date()) {
+  const segments = [];
+  let cursor = new Date(vehicle.createdAt);
+  let statut = history.length ? (history[0].fromStatus ?? history[0].toStatus) : vehicle.statut;
+
+  for (const h of history) {
+    const at = new Date(h.changedAt);
+    if (at > cursor) segments.push({ statut, start: cursor, end: at });
+    if (at > cursor) cursor = at;
+    statut = h.toStatus;
+  }
+  if (now > cursor) segments.push({ statut, start: cursor, end: now });
+  return segments;
+}
+
+// Heures passées dans chaque statut sur [start, end[
+function hoursByStatus(segments, start, end) {
+  const hours = {};
+  for (const seg of segments) {
+    const from = Math.max(seg.start.getTime(), start.getTime());
+    const to = Math.min(seg.end.getTime(), end.getTime());
+    if (to <= from) continue;
+    hours[seg.statut] = (hours[seg.statut] || 0) + (to - from) / 3600000;
+  }
+  for (const k of Object.keys(hours)) hours[k] = Math.round(hours[k] * 100) / 100;
+  return hours;
+}
+
+function availabilityRate(hours) {
+  const total = Object.values(hours).reduce((sum, h) => sum + h, 0);
+  if (!total) return null;
+  const dispo = VEHICLE_STATUTS_DISPONIBLES.reduce((sum, st) => sum + (hours[st] || 0), 0);
+  return Math.round((dispo / total) * 1000) / 10;
+}
+
+// Véhicules avec l'historique de statuts utile jusqu'à periodEnd : les changements antérieurs, plus le premier
+// changement postérieur (son fromStatus est le statut sur la période si aucun changement n'y tombe, pas le statut actuel)
+async function findVehiclesWithStatusHistory(db, { where = {}, orderBy } = {}, periodEnd) {
+  const [vehicles, next] = await Promise.all([
+    db.vehicle.findMany({
+      where,
+      orderBy,
+      include: { statesHistory: { where: { changedAt: { lt: periodEnd } }, orderBy: { changedAt: 'asc' } } },
+    }),
+    db.vehicleStateHistory.findMany({
+      where: { changedAt: { gte: periodEnd }, vehicle: where },
+      orderBy: { changedAt: 'asc' },
+      distinct: ['vehicleParc'],
+    }),
+  ]);
+  const nextByParc = new Map(next.map(h => [h.vehicleParc, h]));
+  return vehicles.map(v => (nextByParc.has(v.parc) ? { ...v, statesHistory: [...v.statesHistory, nextByParc.get(v.parc)] } : v));
+}
+
+// TIMELINE d'un véhicule
+app.get('/api/vehicles/:parc/history', async (req, res) => {
   try {
-    console.log('[API] GET /api/conducteurs - prismaReady:', prismaReady);
-    if (!prismaReady) {
-      return res.status(503).json({ error: 'Database not ready' });
-    }
-    const conducteurs = await prisma.conducteur.findMany({ orderBy: { nom: 'asc' } });
-    console.log('[API] GET /api/conducteurs - found:', conducteurs.length);
-    res.json(conducteurs);
+    const vehicle = await prisma.vehicle.findUnique({ where: { parc: req.params.parc }, select: { parc: true } });
+    if (!vehicle) return res.status(404).json({ error: 'Not found' });
+    const history = await prisma.vehicleStateHistory.findMany({
+      where: { vehicleParc: vehicle.parc },
+      orderBy: { changedAt: 'desc' },
+    });
+    res.json(history);
   } catch (e) {
-    console.error('GET /api/conducteurs ERROR ->', e.message);
-    console.error('Stack:', e.stack);
-    res.status(500).json({ error: String(e.message) });
+    console.error('GET /api/vehicles/:parc/history ERROR ->', e);
+    res.status(400).json({ error: String(e) });
   }
 });
 
-// DETAIL
-app.get('/api/conducteurs/:id', async (req, res) => {
+// ========== INTERVENTIONS (atelier) ==========
+
+// Cycle de vie : planifiée -> en_cours -> terminée (pas de retour arrière)
+const INTERVENTION_TRANSITIONS = {
+  'planifiée': ['en_cours', 'terminée'],
+  'en_cours': ['terminée'],
+  'terminée': [],
+};
+const INTERVENTION_STATUTS = Object.keys(INTERVENTION_TRANSITIONS);
+
+// Intervention du véhicule :parc, ou null si elle n'existe pas / appartient à un autre véhicule
+async function findVehicleIntervention(parc, id) {
+  const interventionId = Number(id);
+  if (!Number.isInteger(interventionId)) return null;
+  const intervention = await prisma.intervention.findUnique({ where: { id: interventionId } });
+  return intervention && intervention.vehicleParc === parc ? intervention : null;
+}
+
+// Dates saisies mais illisibles -> leurs champs (refus 400 plutôt qu'un enregistrement à null)
+function invalidInterventionDates(b) {
+  return ['datePrevue', 'dateEffective'].filter(k => b[k] && isNaN(parseDateFlexible(b[k])?.getTime()));
+}
+
+// UPCOMING (toute la flotte) ?depot=&from=&to= ; les interventions planifiées sans date prévue sont incluses
+app.get('/api/interventions/upcoming', async (req, res) => {
   try {
-    const conducteur = await prisma.conducteur.findUnique({ where: { id: req.params.id } });
-    if (!conducteur) return res.status(404).json({ error: 'Not found' });
-    res.json(conducteur);
+    const { depot, from, to } = req.query;
+    const where = { statut: { in: ['planifiée', 'en_cours'] } };
+    const fromDate = from ? parseDateFlexible(from) : new Date(`${getTodayDateParis()}T00:00:00.000Z`);
+    const toDate = to ? parseDateFlexible(to) : null;
+    if (!fromDate || (to && !toDate)) return res.status(400).json({ error: 'Dates from/to invalides' });
+    where.OR = [
+      { datePrevue: toDate ? { gte: fromDate, lte: toDate } : { gte: fromDate } },
+      { statut: 'planifiée', datePrevue: null },
+      { statut: 'en_cours' },
+    ];
+    if (depot) where.vehicle = { depot: String(depot) };
+
+    const interventions = await prisma.intervention.findMany({
+      where,
+      include: { vehicle: { select: { parc: true, type: true, modele: true, immat: true, depot: true, statut: true } } },
+      orderBy: [{ datePrevue: 'asc' }, { id: 'asc' }],
+    });
+    res.json(interventions);
   } catch (e) {
+    console.error('GET /api/interventions/upcoming ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// CREATE
-app.post('/api/conducteurs', async (req, res) => {
+// LIST par véhicule
+app.get('/api/vehicles/:parc/interventions', async (req, res) => {
   try {
-    const b = req.body;
-    const missing = [];
-    if (!b.nom) missing.push('nom');
+    const where = { vehicleParc: req.params.parc };
+    if (req.query.statut) where.statut = String(req.query.statut);
+    const interventions = await prisma.intervention.findMany({
+      where,
+      orderBy: [{ datePrevue: 'desc' }, { id: 'desc' }],
+    });
+    res.json(interventions);
+  } catch (e) {
+    console.error('GET /api/vehicles/:parc/interventions ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DETAIL
+app.get('/api/vehicles/:parc/interventions/:id', async (req, res) => {
+  try {
+    const intervention = await findVehicleIntervention(req.params.parc, req.params.id);
+    if (!intervention) return res.status(404).json({ error: 'Not found' });
+    res.json(intervention);
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// CREATE
+app.post('/api/vehicles/:parc/interventions', requireRole(ROLES.ATELIER), async (req, res) => {
+  try {
+    const b = req.body;
+    if (!b.libelle) return res.status(400).json({ error: 'Champs requis manquants', missing: ['libelle'] });
+    const invalid = invalidInterventionDates(b);
+    if (invalid.length) return res.status(400).json({ error: 'Dates invalides (AAAA-MM-JJ ou JJ/MM/AAAA)', invalid });
+
+    const statut = b.statut || 'planifiée';
+    if (!INTERVENTION_STATUTS.includes(statut)) {
+      return res.status(400).json({ error: 'Statut invalide', statuts: INTERVENTION_STATUTS });
+    }
+
+    const vehicle = await prisma.vehicle.findUnique({ where: { parc: req.params.parc } });
+    if (!vehicle) return res.status(404).json({ error: 'Véhicule introuvable' });
+
+    const intervention = await prisma.intervention.create({
+      data: {
+        vehicleParc: vehicle.parc,
+        libelle: String(b.libelle).trim(),
+        datePrevue: parseDateFlexible(b.datePrevue),
+        dateEffective: parseDateFlexible(b.dateEffective) ?? (statut !== 'planifiée' ? new Date() : null),
+        commentaire: b.commentaire || null,
+        statut,
+      },
+    });
+    res.status(201).json(intervention);
+  } catch (e) {
+    console.error('POST /api/vehicles/:parc/interventions ERROR ->', e);
+    res.status(400).json({ error: e?.message || String(e) });
+  }
+});
+
+// UPDATE (partial) - le changement de statut doit respecter INTERVENTION_TRANSITIONS
+app.put('/api/vehicles/:parc/interventions/:id', requireRole(ROLES.ATELIER), async (req, res) => {
+  try {
+    const b = req.body;
+    const current = await findVehicleIntervention(req.params.parc, req.params.id);
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    const invalid = invalidInterventionDates(b);
+    if (invalid.length) return res.status(400).json({ error: 'Dates invalides (AAAA-MM-JJ ou JJ/MM/AAAA)', invalid });
+
+    const data = {
+      libelle: b.libelle ?? undefined,
+      datePrevue: b.datePrevue === '' ? null : (b.datePrevue ? parseDateFlexible(b.datePrevue) : undefined),
+      dateEffective: b.dateEffective === '' ? null : (b.dateEffective ? parseDateFlexible(b.dateEffective) : undefined),
+      commentaire: b.commentaire ?? undefined,
+    };
+
+    if (b.statut !== undefined && b.statut !== current.statut) {
+      if (!INTERVENTION_STATUTS.includes(b.statut)) {
+        return res.status(400).json({ error: 'Statut invalide', statuts: INTERVENTION_STATUTS });
+      }
+      if (!INTERVENTION_TRANSITIONS[current.statut]?.includes(b.statut)) {
+        return res.status(409).json({
+          error: `Transition interdite : ${current.statut} -> ${b.statut}`,
+          allowed: INTERVENTION_TRANSITIONS[current.statut] || [],
+        });
+      }
+      data.statut = b.statut;
+      // Début effectif des travaux renseigné automatiquement
+      if (!current.dateEffective && data.dateEffective === undefined) data.dateEffective = new Date();
+    }
+
+    const intervention = await prisma.intervention.update({ where: { id: current.id }, data });
+    res.json(intervention);
+  } catch (e) {
+    console.error('PUT /api/vehicles/:parc/interventions/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DELETE
+app.delete('/api/vehicles/:parc/interventions/:id', requireRole(ROLES.ATELIER), async (req, res) => {
+  try {
+    const current = await findVehicleIntervention(req.params.parc, req.params.id);
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    await prisma.intervention.delete({ where: { id: current.id } });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ========== CONDUCTEURS ==========
+
+// LIST ?statut=&permis=&typeContrat=&embaucheFrom=&embaucheTo=&q=&sort=&limit=&page=|cursor=
+app.get('/api/conducteurs', async (req, res) => {
+  try {
+    console.log('[API] GET /api/conducteurs - prismaReady:', prismaReady);
+    if (!prismaReady) {
+      return res.status(503).json({ error: 'Database not ready' });
+    }
+    const list = parseListQuery(req.query, {
+      key: 'id',
+      sortable: ['nom', 'prenom', 'matricule', 'permis', 'embauche', 'statut', 'typeContrat', 'createdAt'],
+      defaultSort: 'nom',
+      searchFields: ['nom', 'prenom', 'matricule', 'email'],
+    });
+    const where = list.where({
+      statut: listIn(req.query.statut),
+      permis: listIn(req.query.permis),
+      typeContrat: listIn(req.query.typeContrat),
+      embauche: listDateRange(req.query.embaucheFrom, req.query.embaucheTo),
+    });
+    const [conducteurs, total] = await Promise.all([
+      prisma.conducteur.findMany({ where, ...list.findArgs }),
+      prisma.conducteur.count({ where }),
+    ]);
+    console.log('[API] GET /api/conducteurs - found:', conducteurs.length, '/', total);
+    sendList(res, conducteurs, total, list);
+  } catch (e) {
+    console.error('GET /api/conducteurs ERROR ->', e.message);
+    console.error('Stack:', e.stack);
+    res.status(e.status || 500).json({ error: String(e.message) });
+  }
+});
+
+// DETAIL
+app.get('/api/conducteurs/:id', async (req, res) => {
+  try {
+    const conducteur = await prisma.conducteur.findUnique({ where: { id: req.params.id } });
+    if (!conducteur) return res.status(404).json({ error: 'Not found' });
+    res.json(conducteur);
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// CREATE
+app.post('/api/conducteurs', requireRole(ROLES.CHEF_EQUIPE), async (req, res) => {
+  try {
+    const b = req.body;
+    const missing = [];
+    if (!b.nom) missing.push('nom');
     if (!b.prenom) missing.push('prenom');
     if (!b.matricule) missing.push('matricule');
     if (!b.permis) missing.push('permis');
@@ -451,7 +1434,7 @@ app.post('/api/conducteurs', async (req, res) => {
 });
 
 // UPDATE
-app.put('/api/conducteurs/:id', async (req, res) => {
+app.put('/api/conducteurs/:id', requireRole(ROLES.CHEF_EQUIPE), async (req, res) => {
   try {
     const b = req.body;
     const data = {
@@ -489,7 +1472,7 @@ app.put('/api/conducteurs/:id', async (req, res) => {
 });
 
 // DELETE
-app.delete('/api/conducteurs/:id', async (req, res) => {
+app.delete('/api/conducteurs/:id', requireRole(ROLES.CHEF_EQUIPE), async (req, res) => {
   try {
     await prisma.conducteur.delete({ where: { id: req.params.id } });
     res.json({ ok: true });
@@ -498,34 +1481,206 @@ app.delete('/api/conducteurs/:id', async (req, res) => {
   }
 });
 
+// ========== TEMPS DE TRAVAIL ==========
+
+// Limites réglementaires (minutes) ; la limite hebdo vient de Conducteur.heuresMax
+const TEMPS_TRAVAIL = {
+  amplitudeMaxMinutes: 13 * 60, // amplitude journalière (1re prise -> dernière fin)
+  reposMinMinutes: 11 * 60, // repos entre deux journées de travail
+};
+
+const DAY_MS = 86400000;
+
+// Lundi (minuit UTC) de la semaine contenant `date`
+function weekStartOf(date) {
+  const d = new Date(`${toDayKey(date)}T00:00:00.000Z`);
+  return new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+function formatMinutes(min) {
+  return `${Math.floor(min / 60)}h${String(Math.round(min % 60)).padStart(2, '0')}`;
+}
+
+// Temps de travail planifié d'un conducteur sur la semaine commençant à `weekStart`
+// candidate : service en cours d'affectation, compté à la place de sa version en base
+// -> { semaine, heuresMax, travailMinutes, jours: [...], infractions: [{ type, dates, message }] }
+async function computeTempsTravail(db, conducteur, weekStart, { candidate } = {}) {
+  const from = weekStartOf(weekStart);
+  const to = new Date(from.getTime() + 7 * DAY_MS);
+
+  // Un jour de marge de chaque côté pour le repos avec la semaine voisine ; jours supprimés par calendrier exclus
+  const planned = await db.service.findMany({
+    where: {
+      conducteurId: conducteur.id,
+      statut: { not: 'Annulée' },
+      date: { gte: new Date(from.getTime() - DAY_MS), lt: new Date(to.getTime() + DAY_MS) },
+      id: candidate?.id ? { not: candidate.id } : undefined,
+    },
+    include: { ligne: { select: { id: true, numero: true } } },
+  });
+  const services = await filterServicesPerCalendar(db, planned);
+  if (candidate) services.push(candidate);
+
+  // Journée de travail = services dont la date de prise est ce jour-là
+  const byDay = new Map();
+  for (const s of services) {
+    const day = toDayKey(s.date);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push({ service: s, ...serviceInterval(s) });
+  }
+  const days = [...byDay.keys()].sort().map(day => {
+    const items = byDay.get(day).sort((a, b) => a.start - b.start);
+    const start = items[0].start;
+    const end = Math.max(...items.map(i => i.end));
+    return {
+      date: day,
+      start,
+      end,
+      amplitudeMinutes: end - start,
+      travailMinutes: items.reduce((sum, i) => sum + (i.end - i.start), 0),
+      services: items.map(i => ({
+        id: i.service.id,
+        ligne: i.service.ligne?.numero ?? null,
+        heureDebut: i.service.heureDebut,
+        heureFin: i.service.heureFin,
+      })),
+    };
+  });
+
+  const fromKey = toDayKey(from);
+  const toKey = toDayKey(to);
+  const inWeek = (day) => day >= fromKey && day < toKey;
+  const infractions = [];
+
+  const weekDays = days.filter(d => inWeek(d.date));
+  const travailMinutes = weekDays.reduce((sum, d) => sum + d.travailMinutes, 0);
+  const maxMinutes = (conducteur.heuresMax || 0) * 60;
+  if (maxMinutes && travailMinutes > maxMinutes) {
+    infractions.push({
+      type: 'HEBDO_MAX',
+      dates: weekDays.map(d => d.date),
+      message: `Semaine du ${fromKey} : ${formatMinutes(travailMinutes)} planifiées pour ${conducteur.heuresMax}h max`,
+    });
+  }
+
+  for (const d of weekDays) {
+    if (d.amplitudeMinutes > TEMPS_TRAVAIL.amplitudeMaxMinutes) {
+      infractions.push({
+        type: 'AMPLITUDE',
+        dates: [d.date],
+        message: `${d.date} : amplitude de ${formatMinutes(d.amplitudeMinutes)} (max ${formatMinutes(TEMPS_TRAVAIL.amplitudeMaxMinutes)})`,
+      });
+    }
+  }
+
+  for (let i = 1; i < days.length; i++) {
+    const prev = days[i - 1];
+    const next = days[i];
+    if (!inWeek(prev.date) && !inWeek(next.date)) continue;
+    const repos = next.start - prev.end;
+    if (repos < TEMPS_TRAVAIL.reposMinMinutes) {
+      infractions.push({
+        type: 'REPOS',
+        dates: [prev.date, next.date],
+        message: `Repos de ${formatMinutes(Math.max(repos, 0))} entre le ${prev.date} et le ${next.date} (min ${formatMinutes(TEMPS_TRAVAIL.reposMinMinutes)})`,
+      });
+    }
+  }
+
+  return {
+    semaine: { debut: fromKey, fin: toDayKey(new Date(to.getTime() - DAY_MS)) },
+    heuresMax: conducteur.heuresMax,
+    heuresReglementaires: conducteur.heuresReglementaires,
+    travailMinutes,
+    heuresPlanifiees: Math.round((travailMinutes / 60) * 100) / 100,
+    jours: weekDays.map(({ start, end, ...d }) => d),
+    infractions,
+  };
+}
+
+// TEMPS DE TRAVAIL d'un conducteur ?semaine=YYYY-MM-DD (n'importe quel jour de la semaine)
+app.get('/api/conducteurs/:id/temps-travail', async (req, res) => {
+  try {
+    const conducteur = await prisma.conducteur.findUnique({ where: { id: req.params.id } });
+    if (!conducteur) return res.status(404).json({ error: 'Not found' });
+
+    const semaine = req.query.semaine ? parseDateFlexible(req.query.semaine) : new Date(`${getTodayDateParis()}T00:00:00.000Z`);
+    if (!semaine) return res.status(400).json({ error: 'Paramètre semaine invalide' });
+
+    const result = await computeTempsTravail(prisma, conducteur, semaine);
+    res.json({
+      conducteur: { id: conducteur.id, nom: conducteur.nom, prenom: conducteur.prenom, matricule: conducteur.matricule },
+      limites: TEMPS_TRAVAIL,
+      ...result,
+    });
+  } catch (e) {
+    console.error('GET /api/conducteurs/:id/temps-travail ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
 // ========== LIGNES ==========
 
-// LIST
-app.get('/api/lignes', async (_req, res) => {
+// Relations imbriquées de GET /api/lignes (?include=sens,services,conducteur,trajets,arrets,serviceTemplates)
+// "services" est rangé sous "sens" ; sans ?include : sens -> services -> conducteur, comme avant
+const LIGNE_INCLUDES = ['sens', 'services', 'conducteur', 'trajets', 'arrets', 'serviceTemplates'];
+
+function ligneListInclude(query) {
+  const wanted = query.include === undefined ? ['sens', 'services', 'conducteur'] : queryList(query.include);
+  const unknown = wanted.filter(w => !LIGNE_INCLUDES.includes(w));
+  if (unknown.length) throw listQueryError(`include inconnu : ${unknown.join(', ')} (valeurs : ${LIGNE_INCLUDES.join(', ')})`);
+  const has = (name) => wanted.includes(name);
+
+  // Services imbriqués limités à un jour ou une période : ?servicesDate= ou ?servicesFrom=&servicesTo=
+  const servicesDate = query.servicesDate ? toDayKey(query.servicesDate) : null;
+  const servicesWhere = { date: servicesDate ? listDateRange(servicesDate, servicesDate) : listDateRange(query.servicesFrom, query.servicesTo) };
+  const include = {};
+  if (has('sens') || has('services')) {
+    include.sens = { orderBy: { ordre: 'asc' } };
+    if (has('services')) {
+      include.sens.include = {
+        services: {
+          where: servicesWhere,
+          orderBy: { heureDebut: 'asc' },
+          ...(has('conducteur') ? { include: { conducteur: true } } : {}),
+        },
+      };
+    }
+  }
+  if (has('trajets') || has('arrets')) {
+    include.trajets = { orderBy: { ordre: 'asc' } };
+    if (has('arrets')) include.trajets.include = { arrets: { orderBy: { ordre: 'asc' }, include: { stop: true } } };
+  }
+  if (has('serviceTemplates')) include.serviceTemplates = { orderBy: { heureDebut: 'asc' } };
+  return Object.keys(include).length ? include : undefined;
+}
+
+// LIST ?statut=&pmr=&q=&sort=&limit=&page=|cursor=&include=
+app.get('/api/lignes', async (req, res) => {
   try {
-    const lignes = await prisma.ligne.findMany({ 
-      orderBy: { numero: 'asc' },
-      include: { 
-        sens: { 
-          orderBy: { ordre: 'asc' },
-          include: {
-            services: { 
-              orderBy: { heureDebut: 'asc' },
-              include: { conducteur: true }
-            }
-          }
-        } 
-      }
+    const list = parseListQuery(req.query, {
+      key: 'id',
+      sortable: ['numero', 'nom', 'statut', 'createdAt', 'updatedAt'],
+      defaultSort: 'numero',
+      searchFields: ['numero', 'nom', 'description'],
     });
-    res.json(lignes);
+    const where = list.where({
+      statut: listIn(req.query.statut),
+      pmr: listBool(req.query.pmr),
+    });
+    const [lignes, total] = await Promise.all([
+      prisma.ligne.findMany({ where, include: ligneListInclude(req.query), ...list.findArgs }),
+      prisma.ligne.count({ where }),
+    ]);
+    sendList(res, lignes, total, list);
   } catch (e) {
     console.error('GET /api/lignes ERROR ->', e);
-    res.status(400).json({ error: String(e) });
+    res.status(e.status || 400).json({ error: String(e) });
   }
 });
 
 // Initialiser les calendriers vides
-app.post('/api/lignes/init-calendars', async (_req, res) => {
+app.post('/api/lignes/init-calendars', requireRole(...ROLES_EXPLOITATION), async (_req, res) => {
   try {
     const defaultCalendar = {
       lundi: true,
@@ -561,7 +1716,7 @@ app.post('/api/lignes/init-calendars', async (_req, res) => {
 });
 
 // ATTENTION: Endpoint de nettoyage - supprimer tous les services
-app.delete('/api/services/cleanup', async (_req, res) => {
+app.delete('/api/services/cleanup', requireRole(), async (_req, res) => {
   try {
     const result = await prisma.service.deleteMany({});
     res.json({ 
@@ -596,7 +1751,7 @@ app.get('/api/lignes/:id', async (req, res) => {
 });
 
 // CREATE
-app.post('/api/lignes', async (req, res) => {
+app.post('/api/lignes', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
     const b = req.body;
     const missing = [];
@@ -610,6 +1765,7 @@ app.post('/api/lignes', async (req, res) => {
       typesVehicules: Array.isArray(b.typesVehicules) ? JSON.stringify(b.typesVehicules) : '[]',
       statut: String(b.statut || 'Actif'),
       description: b.description || null,
+      pmr: !!b.pmr,
     };
 
     const ligne = await prisma.ligne.create({ data: payload });
@@ -621,7 +1777,7 @@ app.post('/api/lignes', async (req, res) => {
 });
 
 // UPDATE
-app.put('/api/lignes/:id', async (req, res) => {
+app.put('/api/lignes/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
     const b = req.body;
     const data = {
@@ -634,6 +1790,7 @@ app.put('/api/lignes/:id', async (req, res) => {
       heureFin: b.heureFin ?? undefined,
       calendrierJson: b.calendrierJson ?? undefined,
       contraintes: b.contraintes ?? undefined,
+      pmr: b.pmr !== undefined ? !!b.pmr : undefined,
     };
 
     const ligne = await prisma.ligne.update({ 
@@ -649,7 +1806,7 @@ app.put('/api/lignes/:id', async (req, res) => {
 });
 
 // DELETE
-app.delete('/api/lignes/:id', async (req, res) => {
+app.delete('/api/lignes/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
     await prisma.ligne.delete({ where: { id: req.params.id } });
     res.json({ ok: true });
@@ -658,1227 +1815,5246 @@ app.delete('/api/lignes/:id', async (req, res) => {
   }
 });
 
-// ========== SERVICES ==========
+// ========== AFFECTATION VÉHICULE ==========
 
-// LIST (avec filtrage optionnel par date et conducteur)
-app.get('/api/services', async (req, res) => {
+// Contrôle l'affectation du véhicule `parc` au service (données fusionnées avec la modification)
+// -> { vehicle, errors: [], warnings: [] } ; errors non vide = affectation refusée
+async function checkVehicleAssignment(db, service, parc) {
+  const errors = [];
+  const warnings = [];
+  const vehicle = await db.vehicle.findUnique({ where: { parc: String(parc) } });
+  if (!vehicle) return { vehicle: null, errors: [`Véhicule ${parc} introuvable`], warnings };
+
+  const ligne = service.ligne || await db.ligne.findUnique({ where: { id: service.ligneId } });
+  const typesAutorises = parseJsonArray(ligne?.typesVehicules);
+  if (typesAutorises.length && !typesAutorises.includes(vehicle.type)) {
+    errors.push(`Type ${vehicle.type} non autorisé sur la ligne ${ligne.numero} (${typesAutorises.join(', ')})`);
+  }
+
+  if (!VEHICLE_STATUTS_DISPONIBLES.includes(vehicle.statut)) {
+    errors.push(`Véhicule ${vehicle.parc} indisponible (statut : ${vehicle.statut})`);
+  }
+
+  const overlaps = await findOverlappingServices(db, { vehicleParc: vehicle.parc }, service);
+  for (const o of overlaps) {
+    errors.push(`Véhicule ${vehicle.parc} déjà affecté au service ${o.id} (ligne ${o.ligne?.numero ?? '?'}, ${o.heureDebut}-${o.heureFin})`);
+  }
+
+  if (ligne?.pmr && !vehicle.pmr) {
+    warnings.push(`La ligne ${ligne.numero} demande un accès PMR mais le véhicule ${vehicle.parc} n'est pas équipé`);
+  }
+
+  return { vehicle, errors, warnings };
+}
+
+// ========== AFFECTATION CONDUCTEUR ==========
+
+function parseJsonObject(val) {
   try {
-    console.log('[API] GET /api/services - prismaReady:', prismaReady);
-    if (!prismaReady) {
-      return res.status(503).json({ error: 'Database not ready' });
+    const o = JSON.parse(val || 'null');
+    return o && typeof o === 'object' && !Array.isArray(o) ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+// Date -> "YYYY-MM-DD" (jour UTC, comme Service.date)
+function toDayKey(d) {
+  const date = d instanceof Date ? d : parseDateFlexible(d);
+  return date && !isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+// Habilitation requise par type de véhicule
+function qualificationForVehicleType(type) {
+  if (/autocar/i.test(type || '')) return { field: 'autocars', label: 'autocars' };
+  if (/articul/i.test(type || '')) return { field: 'busArticules', label: 'bus articulés' };
+  return null;
+}
+
+// Documents dont la date de validité doit couvrir le jour du service
+const CONDUCTEUR_DOCUMENTS = [
+  { field: 'fcoJson', label: 'FCO' },
+  { field: 'carteChronosJson', label: 'carte conducteur (chronotachygraphe)' },
+  { field: 'visiteMedicaleJson', label: 'visite médicale' },
+];
+
+// Contrôle l'affectation du conducteur au service (données fusionnées avec la modification)
+// -> { conducteur, conflicts: [], errors: [], warnings: [] }
+// conflicts (chevauchements) bloquent toujours ; errors bloquent sauf forçage
+async function checkConducteurAssignment(db, service, conducteurId) {
+  const errors = [];
+  const warnings = [];
+  const conducteur = await db.conducteur.findUnique({ where: { id: String(conducteurId) } });
+  if (!conducteur) return { conducteur: null, conflicts: [], errors: [`Conducteur ${conducteurId} introuvable`], warnings };
+
+  const who = `${conducteur.prenom} ${conducteur.nom}`;
+  const day = toDayKey(service.date);
+
+  const overlaps = await findOverlappingServices(db, { conducteurId: conducteur.id }, service);
+  const conflicts = overlaps.map(o =>
+    `${who} est déjà affecté(e) au service ${o.id} (ligne ${o.ligne?.numero ?? '?'}, ${toDayKey(o.date)} ${o.heureDebut}-${o.heureFin})`
+  );
+
+  if (conducteur.statut !== 'Actif') {
+    errors.push(`${who} n'est pas actif(ve) (statut : ${conducteur.statut})`);
+  }
+
+  for (const a of parseJsonArray(conducteur.absencesJson)) {
+    const debut = toDayKey(a?.dateDebut);
+    const fin = toDayKey(a?.dateFin) || debut;
+    if (debut && day >= debut && day <= fin) {
+      errors.push(`${who} est absent(e) du ${debut} au ${fin}${a.type ? ` (${a.type})` : ''}`);
     }
-    const { ligneId, conducteurId, date } = req.query;
-    const where = {};
-    if (ligneId) where.ligneId = ligneId;
-    if (conducteurId) where.conducteurId = conducteurId;
-    if (date) {
-      const d = new Date(date);
-      const nextDay = new Date(d);
-      nextDay.setDate(nextDay.getDate() + 1);
-      where.date = { gte: d, lt: nextDay };
+  }
+
+  for (const doc of CONDUCTEUR_DOCUMENTS) {
+    const validite = toDayKey(parseJsonObject(conducteur[doc.field])?.validite);
+    if (!validite) warnings.push(`${doc.label} : date de validité non renseignée pour ${who}`);
+    else if (validite < day) errors.push(`${doc.label} expirée depuis le ${validite} pour ${who}`);
+  }
+
+  // Véhicule affecté : on contrôle son type ; sinon l'habilitation est requise
+  // uniquement si tous les types autorisés sur la ligne l'exigent
+  let types;
+  if (service.vehicleParc) {
+    const vehicle = await db.vehicle.findUnique({ where: { parc: service.vehicleParc }, select: { type: true } });
+    types = vehicle ? [vehicle.type] : [];
+  } else {
+    const ligne = service.ligne || await db.ligne.findUnique({ where: { id: service.ligneId } });
+    types = parseJsonArray(ligne?.typesVehicules);
+  }
+  const required = types.map(qualificationForVehicleType);
+  if (required.length && required.every(Boolean)) {
+    for (const q of new Map(required.map(r => [r.field, r])).values()) {
+      if (!conducteur[q.field]) errors.push(`${who} n'est pas habilité(e) ${q.label}`);
     }
+  }
 
-    const services = await prisma.service.findMany({
+  // Temps de travail de la semaine avec ce service : seules les infractions qui le concernent bloquent
+  const tempsTravail = await computeTempsTravail(db, conducteur, service.date, {
+    candidate: { ...service, conducteurId: conducteur.id },
+  });
+  for (const inf of tempsTravail.infractions) {
+    if (inf.type === 'HEBDO_MAX' || inf.dates.includes(day)) errors.push(`${who} - ${inf.message}`);
+  }
+
+  return { conducteur, conflicts, errors, warnings };
+}
+
+// body.force (true ou "true" uniquement) et body.forceMotif, obligatoire pour forcer -> { force, motif } ou { error }
+function parseForceRequest(b) {
+  const force = b.force === true || b.force === 'true';
+  const motif = typeof b.forceMotif === 'string' ? b.forceMotif.trim() : '';
+  if (force && !motif) return { error: 'Motif requis pour forcer l\'affectation', missing: ['forceMotif'] };
+  return { force, motif: force ? motif : null };
+}
+
+// Évalue l'affectation ; body.force = true permet de passer outre (tracé dans AssignmentOverride)
+// sauf en cas de chevauchement : un conducteur ne peut pas tenir deux services à la fois
+// -> { blocked, body } ou { blocked: false, overridden: reasons|null, warnings }
+async function evaluateConducteurAssignment(db, service, { force } = {}) {
+  const check = await checkConducteurAssignment(db, service, service.conducteurId);
+  if (!check.conflicts.length && !check.errors.length) return { blocked: false, overridden: null, warnings: check.warnings };
+  if (force && check.conducteur && !check.conflicts.length) {
+    return { blocked: false, overridden: check.errors, warnings: check.warnings };
+  }
+  return {
+    blocked: true,
+    body: {
+      error: check.conflicts.length ? 'Conflit de planning conducteur' : 'Affectation conducteur refusée',
+      conflicts: check.conflicts,
+      reasons: check.errors,
+      warnings: check.warnings,
+      canForce: !!check.conducteur && !check.conflicts.length,
+    },
+  };
+}
+
+async function recordAssignmentOverride(db, { serviceId, conducteurId, reasons, motif, author }) {
+  return db.assignmentOverride.create({
+    data: {
+      serviceId,
+      conducteurId,
+      reasonsJson: JSON.stringify(reasons),
+      motif: motif ? String(motif) : null,
+      author: author || null,
+    },
+  });
+}
+
+// Journal des affectations forcées ?serviceId=&conducteurId=
+app.get('/api/assignment-overrides', async (req, res) => {
+  try {
+    const { serviceId, conducteurId } = req.query;
+    const where = {};
+    if (serviceId) where.serviceId = String(serviceId);
+    if (conducteurId) where.conducteurId = String(conducteurId);
+    const overrides = await prisma.assignmentOverride.findMany({
       where,
-      include: { ligne: true, conducteur: true },
-      orderBy: { date: 'asc' },
+      include: {
+        service: { select: { id: true, date: true, heureDebut: true, heureFin: true, ligne: { select: { numero: true } } } },
+        conducteur: { select: { id: true, nom: true, prenom: true, matricule: true } },
+      },
+      orderBy: { createdAt: 'desc' },
     });
-    console.log('[API] GET /api/services - found:', services.length);
-    res.json(services);
+    res.json(overrides.map(o => ({ ...o, reasons: parseJsonArray(o.reasonsJson) })));
   } catch (e) {
-    console.error('GET /api/services ERROR ->', e.message);
-    console.error('Stack:', e.stack);
-    res.status(500).json({ error: String(e.message) });
+    console.error('GET /api/assignment-overrides ERROR ->', e);
+    res.status(400).json({ error: String(e) });
   }
 });
 
-// DETAIL
-app.get('/api/services/:id', async (req, res) => {
+// ========== CALENDRIERS D'EXCEPTION ==========
+// Périodes nommées (jours fériés calculés, vacances scolaires et jours exceptionnels saisis)
+// et règles par ligne : circule / ne_circule_pas / special (seules les courses types listées, quels que soient leurs jours)
+
+const PERIODE_TYPES = ['ferie', 'vacances_scolaires', 'exceptionnel'];
+const REGLE_MODES = ['circule', 'ne_circule_pas', 'special'];
+// Une règle sur une période précise l'emporte ; sinon le type le plus spécifique
+const PERIODE_TYPE_PRIORITE = { exceptionnel: 3, ferie: 2, vacances_scolaires: 1 };
+
+// Dimanche de Pâques (algorithme de Meeus/Jones/Butcher), en jour UTC
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Jours fériés français de l'année -> [{ date: 'YYYY-MM-DD', nom }]
+function joursFeries(year) {
+  const paques = easterSunday(year).getTime();
+  const fixed = (m, d) => toDayKey(new Date(Date.UTC(year, m - 1, d)));
+  const fromEaster = (days) => toDayKey(new Date(paques + days * DAY_MS));
+  return [
+    { date: fixed(1, 1), nom: "Jour de l'an" },
+    { date: fromEaster(1), nom: 'Lundi de Pâques' },
+    { date: fixed(5, 1), nom: 'Fête du Travail' },
+    { date: fixed(5, 8), nom: 'Victoire 1945' },
+    { date: fromEaster(39), nom: 'Ascension' },
+    { date: fromEaster(50), nom: 'Lundi de Pentecôte' },
+    { date: fixed(7, 14), nom: 'Fête nationale' },
+    { date: fixed(8, 15), nom: 'Assomption' },
+    { date: fixed(11, 1), nom: 'Toussaint' },
+    { date: fixed(11, 11), nom: 'Armistice 1918' },
+    { date: fixed(12, 25), nom: 'Noël' },
+  ].sort((x, y) => x.date.localeCompare(y.date));
+}
+
+// Périodes (saisies + fériés calculés) et règles de toutes les lignes sur [from, to]
+async function loadCalendarContext(db, from, to) {
+  const [stored, regles] = await Promise.all([
+    db.periodeCalendrier.findMany({ where: { dateDebut: { lte: to }, dateFin: { gte: from } } }),
+    db.regleCalendrierLigne.findMany(),
+  ]);
+  const periodes = stored.map(p => ({ ...p, debut: toDayKey(p.dateDebut), fin: toDayKey(p.dateFin) }));
+
+  const fromKey = toDayKey(from);
+  const toKey = toDayKey(to);
+  for (let year = from.getUTCFullYear(); year <= to.getUTCFullYear(); year++) {
+    for (const f of joursFeries(year)) {
+      if (f.date < fromKey || f.date > toKey) continue;
+      periodes.push({ id: `ferie-${f.date}`, nom: f.nom, type: 'ferie', zone: null, debut: f.date, fin: f.date, calcule: true });
+    }
+  }
+
+  const reglesByLigne = new Map();
+  for (const r of regles) {
+    if (!reglesByLigne.has(r.ligneId)) reglesByLigne.set(r.ligneId, []);
+    reglesByLigne.get(r.ligneId).push({ ...r, templateIds: parseJsonArray(r.templateIdsJson) });
+  }
+  return { periodes, reglesByLigne };
+}
+
+// Régime d'une ligne un jour donné -> { mode: 'normal' } ou { mode, periode, templateIds }
+function resolveLigneDay(ctx, ligneId, day) {
+  const key = toDayKey(day);
+  const regles = ctx.reglesByLigne.get(ligneId) || [];
+  if (!regles.length) return { mode: 'normal' };
+
+  let best = null;
+  for (const periode of ctx.periodes) {
+    if (key < periode.debut || key > periode.fin) continue;
+    for (const r of regles) {
+      let score;
+      if (r.periodeId) score = r.periodeId === periode.id ? 10 : -1;
+      else if (r.periodeType === periode.type && (!r.zone || r.zone === periode.zone)) score = PERIODE_TYPE_PRIORITE[periode.type] || 0;
+      else score = -1;
+      if (score >= 0 && (!best || score > best.score)) best = { score, regle: r, periode };
+    }
+  }
+  if (!best) return { mode: 'normal' };
+  const periode = { id: best.periode.id, nom: best.periode.nom, type: best.periode.type };
+  if (best.regle.mode === 'circule') return { mode: 'normal', periode };
+  return { mode: best.regle.mode, periode, templateIds: best.regle.templateIds };
+}
+
+// Un service daté circule-t-il d'après les calendriers d'exception ?
+function serviceRunsPerCalendar(ctx, service) {
+  const regime = resolveLigneDay(ctx, service.ligneId, service.date);
+  if (regime.mode === 'ne_circule_pas') return false;
+  if (!service.templateId) return true; // service saisi à la main
+  return regime.mode !== 'special' || regime.templateIds.includes(service.templateId);
+}
+
+// Services datés (ligneId, templateId, date) -> ceux que les calendriers d'exception laissent circuler
+async function filterServicesPerCalendar(db, services) {
+  if (!services.length) return services;
+  let from = services[0].date;
+  let to = services[0].date;
+  for (const s of services) {
+    if (s.date < from) from = s.date;
+    if (s.date > to) to = s.date;
+  }
+  const ctx = await loadCalendarContext(db, from, to);
+  return services.filter(s => serviceRunsPerCalendar(ctx, s));
+}
+
+// JOURS FÉRIÉS ?annee=
+app.get('/api/calendrier/feries', (req, res) => {
+  const annee = Number(req.query.annee) || Number(getTodayDateParis().slice(0, 4));
+  res.json({ annee, feries: joursFeries(annee) });
+});
+
+// PÉRIODES ?from=&to=&type=&zone= (fériés calculés inclus)
+app.get('/api/calendrier/periodes', async (req, res) => {
   try {
-    const service = await prisma.service.findUnique({
-      where: { id: req.params.id },
-      include: { ligne: true, conducteur: true },
-    });
-    if (!service) return res.status(404).json({ error: 'Not found' });
-    res.json(service);
+    const year = getTodayDateParis().slice(0, 4);
+    const range = parseDayRange({ from: req.query.from || `${year}-01-01`, to: req.query.to || `${year}-12-31` });
+    if (!range) return res.status(400).json({ error: 'Paramètres from/to invalides (YYYY-MM-DD, from <= to)' });
+    const { periodes } = await loadCalendarContext(prisma, range.from, range.to);
+    const list = periodes
+      .filter(p => !req.query.type || p.type === req.query.type)
+      .filter(p => !req.query.zone || p.zone === req.query.zone)
+      .sort((a, b) => a.debut.localeCompare(b.debut));
+    res.json(list);
   } catch (e) {
+    console.error('GET /api/calendrier/periodes ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// CREATE
-app.post('/api/services', async (req, res) => {
+// CREATE PÉRIODE (vacances scolaires, jour exceptionnel...)
+app.post('/api/calendrier/periodes', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
     const b = req.body;
     const missing = [];
-    if (!b.ligneId) missing.push('ligneId');
-    if (!b.date) missing.push('date');
-    if (!b.heureDebut) missing.push('heureDebut');
-    if (!b.heureFin) missing.push('heureFin');
+    if (!b.nom) missing.push('nom');
+    if (!b.type) missing.push('type');
+    if (!b.dateDebut) missing.push('dateDebut');
     if (missing.length) return res.status(400).json({ error: 'Champs requis manquants', missing });
+    if (!PERIODE_TYPES.includes(b.type)) return res.status(400).json({ error: 'Type invalide', types: PERIODE_TYPES });
 
-    const payload = {
-      ligneId: String(b.ligneId),
-      conducteurId: b.conducteurId || null,
-      date: new Date(b.date),
-      heureDebut: String(b.heureDebut),
-      heureFin: String(b.heureFin),
-      statut: String(b.statut || 'Planifiée'),
-    };
+    const dateDebut = parseDateFlexible(b.dateDebut);
+    const dateFin = b.dateFin ? parseDateFlexible(b.dateFin) : dateDebut;
+    if (!dateDebut || !dateFin || dateFin < dateDebut) return res.status(400).json({ error: 'Dates invalides' });
 
-    const service = await prisma.service.create({
-      data: payload,
-      include: { ligne: true, conducteur: true },
+    const periode = await prisma.periodeCalendrier.create({
+      data: {
+        nom: String(b.nom).trim(),
+        type: b.type,
+        zone: b.zone || null,
+        dateDebut,
+        dateFin,
+        commentaire: b.commentaire || null,
+      },
     });
-    res.status(201).json(service);
+    res.status(201).json(periode);
   } catch (e) {
-    console.error('POST /api/services ERROR ->', e);
+    console.error('POST /api/calendrier/periodes ERROR ->', e);
     res.status(400).json({ error: e?.message || String(e) });
   }
 });
 
-// UPDATE
-app.put('/api/services/:id', async (req, res) => {
+// UPDATE PÉRIODE
+app.put('/api/calendrier/periodes/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
     const b = req.body;
+    if (b.type !== undefined && !PERIODE_TYPES.includes(b.type)) {
+      return res.status(400).json({ error: 'Type invalide', types: PERIODE_TYPES });
+    }
     const data = {
-      conducteurId: b.conducteurId !== undefined ? (b.conducteurId || null) : undefined,
-      heureDebut: b.heureDebut ?? undefined,
-      heureFin: b.heureFin ?? undefined,
-      statut: b.statut ?? undefined,
+      nom: b.nom ?? undefined,
+      type: b.type ?? undefined,
+      zone: b.zone === '' ? null : (b.zone ?? undefined),
+      dateDebut: b.dateDebut ? parseDateFlexible(b.dateDebut) : undefined,
+      dateFin: b.dateFin ? parseDateFlexible(b.dateFin) : undefined,
+      commentaire: b.commentaire ?? undefined,
     };
-
-    const service = await prisma.service.update({
-      where: { id: req.params.id },
-      data,
-      include: { ligne: true, conducteur: true },
-    });
-    res.json(service);
+    const periode = await prisma.periodeCalendrier.update({ where: { id: req.params.id }, data });
+    res.json(periode);
   } catch (e) {
-    console.error('PUT /api/services/:id ERROR ->', e);
+    console.error('PUT /api/calendrier/periodes/:id ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// DELETE
-app.delete('/api/services/:id', async (req, res) => {
+// DELETE PÉRIODE
+app.delete('/api/calendrier/periodes/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
-    await prisma.service.delete({ where: { id: req.params.id } });
+    await prisma.periodeCalendrier.delete({ where: { id: req.params.id } });
     res.json({ ok: true });
   } catch (e) {
     res.status(400).json({ error: String(e) });
   }
 });
 
-// ========== POINTAGES ==========
-
-// LIST with optional filtering
-app.get('/api/pointages', async (req, res) => {
+// RÈGLES d'une ligne
+app.get('/api/lignes/:id/regles-calendrier', async (req, res) => {
   try {
-    const { serviceId, conducteurId, dateFrom, dateTo } = req.query;
-    const where = {};
-    if (serviceId) where.serviceId = String(serviceId);
-    if (conducteurId) where.conducteurId = String(conducteurId);
-    if (dateFrom || dateTo) {
-      where.validatedAt = {};
-      if (dateFrom) where.validatedAt.gte = new Date(dateFrom);
-      if (dateTo) where.validatedAt.lte = new Date(dateTo);
-    }
-
-    const pointages = await prisma.pointage.findMany({
-      where,
-      include: { service: { include: { ligne: true, conducteur: true } }, conducteur: true },
-      orderBy: { validatedAt: 'desc' },
+    const regles = await prisma.regleCalendrierLigne.findMany({
+      where: { ligneId: req.params.id },
+      include: { periode: true },
+      orderBy: { createdAt: 'asc' },
     });
-    res.json(pointages);
+    res.json(regles.map(r => ({ ...r, templateIds: parseJsonArray(r.templateIdsJson) })));
   } catch (e) {
-    console.error('GET /api/pointages ERROR ->', e);
+    console.error('GET /api/lignes/:id/regles-calendrier ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// STATS - Statistiques quotidiennes TC 360+
-app.get('/api/pointages/stats/daily', async (req, res) => {
+// CREATE RÈGLE : { periodeId | periodeType (+ zone), mode, templateIds? }
+app.post('/api/lignes/:id/regles-calendrier', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
-    const { date } = req.query;
-    const targetDate = date ? new Date(date) : new Date();
-    const startOfDay = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate());
-    const endOfDay = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate() + 1);
+    const b = req.body;
+    if (!b.periodeId && !b.periodeType) {
+      return res.status(400).json({ error: 'periodeId ou periodeType requis' });
+    }
+    if (b.periodeType && !PERIODE_TYPES.includes(b.periodeType)) {
+      return res.status(400).json({ error: 'Type de période invalide', types: PERIODE_TYPES });
+    }
+    if (!REGLE_MODES.includes(b.mode)) return res.status(400).json({ error: 'Mode invalide', modes: REGLE_MODES });
+    const templateIds = Array.isArray(b.templateIds) ? b.templateIds.map(String) : [];
+    if (b.mode === 'special' && !templateIds.length) {
+      return res.status(400).json({ error: 'Le mode special demande au moins une course type (templateIds)' });
+    }
 
-    // Récupérer tous les pointages du jour
-    const pointages = await prisma.pointage.findMany({
-      where: {
-        validatedAt: {
-          gte: startOfDay,
-          lt: endOfDay,
-        },
-      },
-      include: {
-        service: { include: { ligne: true } },
-        conducteur: true,
+    const regle = await prisma.regleCalendrierLigne.create({
+      data: {
+        ligneId: req.params.id,
+        periodeId: b.periodeId || null,
+        periodeType: b.periodeId ? null : b.periodeType,
+        zone: b.zone || null,
+        mode: b.mode,
+        templateIdsJson: templateIds.length ? JSON.stringify(templateIds) : null,
       },
+      include: { periode: true },
     });
+    res.status(201).json({ ...regle, templateIds });
+  } catch (e) {
+    console.error('POST /api/lignes/:id/regles-calendrier ERROR ->', e);
+    res.status(400).json({ error: e?.message || String(e) });
+  }
+});
 
-    // Récupérer tous les services du jour pour comparer
-    const services = await prisma.service.findMany({
-      where: {
-        date: {
-          gte: startOfDay,
-          lt: endOfDay,
-        },
-      },
-      include: { ligne: true, conducteur: true },
-    });
+// DELETE RÈGLE
+app.delete('/api/lignes/:id/regles-calendrier/:regleId', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const { count } = await prisma.regleCalendrierLigne.deleteMany({ where: { id: req.params.regleId, ligneId: req.params.id } });
+    if (!count) return res.status(404).json({ error: 'Not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
 
-    // Statistiques détaillées
-    const totalServices = services.length;
-    const totalPointages = pointages.length;
-    const validationRate = totalServices > 0 ? Math.round((totalPointages / totalServices) * 100) : 0;
+// RÉGIME JOUR PAR JOUR d'une ligne ?from=&to=
+app.get('/api/lignes/:id/calendrier', async (req, res) => {
+  try {
+    const ligne = await prisma.ligne.findUnique({ where: { id: req.params.id } });
+    if (!ligne) return res.status(404).json({ error: 'Not found' });
+    const range = parseDayRange(req.query);
+    if (!range) return res.status(400).json({ error: 'Paramètres from/to invalides (YYYY-MM-DD, from <= to)' });
+    if ((range.to - range.from) / DAY_MS >= GENERATION_MAX_JOURS) {
+      return res.status(400).json({ error: `Période limitée à ${GENERATION_MAX_JOURS} jours` });
+    }
 
-    // Par conducteur
-    const conductorStats = {};
-    pointages.forEach((p) => {
-      const cid = p.conducteurId;
-      if (!conductorStats[cid]) {
-        conductorStats[cid] = {
-          id: cid,
-          nom: p.conducteur?.nom || 'Inconnu',
-          prenom: p.conducteur?.prenom || '',
-          pointages: 0,
-          permisChecked: 0,
-          chronometerChecked: 0,
-          avgValidationTime: 0,
-        };
-      }
-      conductorStats[cid].pointages++;
-      if (p.permisChecked) conductorStats[cid].permisChecked++;
-      if (p.chronometerChecked) conductorStats[cid].chronometerChecked++;
-    });
+    const calendrier = parseJsonObject(ligne.calendrierJson) || {};
+    const ctx = await loadCalendarContext(prisma, range.from, range.to);
+    const jours = [];
+    for (let day = range.from; day <= range.to; day = new Date(day.getTime() + DAY_MS)) {
+      const regime = resolveLigneDay(ctx, ligne.id, day);
+      jours.push({
+        date: toDayKey(day),
+        jour: JOURS_SEMAINE[day.getUTCDay()],
+        calendrierSemaine: !!calendrier[JOURS_SEMAINE[day.getUTCDay()]],
+        ...regime,
+      });
+    }
+    res.json({ ligneId: ligne.id, numero: ligne.numero, from: range.fromKey, to: range.toKey, jours });
+  } catch (e) {
+    console.error('GET /api/lignes/:id/calendrier ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
 
-    // Distribuer par heure de départ
-    const hourlyDistribution = {};
-    services.forEach((s) => {
-      const hour = s.heureDebut?.split(':')[0] || '??';
-      if (!hourlyDistribution[hour]) hourlyDistribution[hour] = { total: 0, validated: 0 };
-      hourlyDistribution[hour].total++;
-    });
-    pointages.forEach((p) => {
-      const hour = p.service?.heureDebut?.split(':')[0] || '??';
-      if (hourlyDistribution[hour]) hourlyDistribution[hour].validated++;
-    });
+// ========== COURSES TYPES (ServiceTemplate) ==========
+// Définition récurrente d'un service (sens, horaires, période de validité) ;
+// les services datés la référencent via Service.templateId
 
-    // Top/flop conducteurs
-    const conductorList = Object.values(conductorStats).sort((a, b) => b.pointages - a.pointages);
-    const topConductors = conductorList.slice(0, 5);
-    const flopConductors = conductorList.slice(-5).reverse();
+const HEURE_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
 
-    // Véhicules/types
-    const vehicleTypes = {};
-    pointages.forEach((p) => {
-      if (p.vehicleType) {
-        vehicleTypes[p.vehicleType] = (vehicleTypes[p.vehicleType] || 0) + 1;
-      }
-    });
+// Le jour est-il dans la période de validité de la course type ?
+function templateValidOn(template, day) {
+  const key = toDayKey(day);
+  if (template.valideDu && key < toDayKey(template.valideDu)) return false;
+  return !(template.valideAu && key > toDayKey(template.valideAu));
+}
 
-    // Validateurs (Régulateur vs Chef d'Équipe)
-    const validatedByStats = {};
-    pointages.forEach((p) => {
-      const role = p.validatedBy || 'Inconnu';
-      validatedByStats[role] = (validatedByStats[role] || 0) + 1;
-    });
+// La course type circule-t-elle ce jour-là ? (validité + jours propres, sinon calendrier de la ligne)
+function templateRunsOn(template, day, calendrierLigne) {
+  if (!templateValidOn(template, day)) return false;
+  const key = toDayKey(day);
+  const jours = parseJsonObject(template.joursJson) || calendrierLigne || {};
+  return !!jours[JOURS_SEMAINE[new Date(`${key}T00:00:00.000Z`).getUTCDay()]];
+}
 
-    // Lignes/routes
-    const lineStats = {};
-    pointages.forEach((p) => {
-      const lineNum = p.service?.ligne?.numero || '??';
-      if (!lineStats[lineNum]) {
-        lineStats[lineNum] = { numero: lineNum, pointages: 0 };
-      }
-      lineStats[lineNum].pointages++;
-    });
+// Course type existante (ligne, sens, début, fin) ou nouvelle
+async function findOrCreateServiceTemplate(db, { ligneId, sensId, heureDebut, heureFin }) {
+  const existing = await db.serviceTemplate.findFirst({ where: { ligneId, sensId, heureDebut, heureFin } });
+  if (existing) return existing;
+  return db.serviceTemplate.create({ data: { ligneId, sensId, heureDebut, heureFin } });
+}
 
-    res.json({
-      date: startOfDay.toISOString().split('T')[0],
-      totalServices,
-      totalPointages,
-      validationRate,
-      conductorStats: Object.values(conductorStats),
-      topConductors,
-      flopConductors,
-      hourlyDistribution,
-      vehicleTypes,
-      validatedByStats,
-      lineStats: Object.values(lineStats).sort((a, b) => b.pointages - a.pointages),
-      avgPermisCheckRate: totalPointages > 0
-        ? Math.round((Object.values(conductorStats).reduce((sum, c) => sum + c.permisChecked, 0) / totalPointages) * 100)
-        : 0,
-      avgTachographCheckRate: totalPointages > 0
-        ? Math.round((Object.values(conductorStats).reduce((sum, c) => sum + c.chronometerChecked, 0) / totalPointages) * 100)
-        : 0,
+// LIST ?ligneId=&sensId=&trajetId=
+app.get('/api/service-templates', async (req, res) => {
+  try {
+    const { ligneId, sensId, trajetId } = req.query;
+    const where = {};
+    if (ligneId) where.ligneId = String(ligneId);
+    if (sensId) where.sensId = String(sensId);
+    if (trajetId) where.trajetId = String(trajetId);
+    const templates = await prisma.serviceTemplate.findMany({
+      where,
+      include: { sens: true, trajet: true },
+      orderBy: [{ heureDebut: 'asc' }],
     });
+    res.json(templates);
   } catch (e) {
-    console.error('GET /api/pointages/stats/daily ERROR ->', e);
+    console.error('GET /api/service-templates ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
 // DETAIL
-app.get('/api/pointages/:id', async (req, res) => {
+app.get('/api/service-templates/:id', async (req, res) => {
   try {
-    const pointage = await prisma.pointage.findUnique({
+    const template = await prisma.serviceTemplate.findUnique({
       where: { id: req.params.id },
-      include: { service: { include: { ligne: true, conducteur: true } }, conducteur: true },
+      include: { sens: true, trajet: true },
     });
-    if (!pointage) return res.status(404).json({ error: 'Not found' });
-    res.json(pointage);
+    if (!template) return res.status(404).json({ error: 'Not found' });
+    res.json(template);
   } catch (e) {
     res.status(400).json({ error: String(e) });
   }
 });
 
+// Sens / trajet d'une course type : doivent appartenir à la ligne de la course type (message d'erreur ou null)
+async function serviceTemplateRefsError(db, ligneId, { sensId, trajetId }) {
+  if (sensId) {
+    const sens = await db.sens.findUnique({ where: { id: String(sensId) }, select: { ligneId: true } });
+    if (!sens) return 'Sens introuvable';
+    if (sens.ligneId !== ligneId) return 'Le sens n\'appartient pas à la ligne de la course type';
+  }
+  if (trajetId) {
+    const trajet = await db.trajet.findUnique({ where: { id: String(trajetId) }, select: { ligneId: true } });
+    if (!trajet) return 'Trajet introuvable';
+    if (trajet.ligneId !== ligneId) return 'Le trajet n\'appartient pas à la ligne de la course type';
+  }
+  return null;
+}
+
 // CREATE
-app.post('/api/pointages', async (req, res) => {
+app.post('/api/service-templates', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
     const b = req.body;
     const missing = [];
-    if (!b.serviceId) missing.push('serviceId');
-    if (!b.conducteurId) missing.push('conducteurId');
-    if (!b.validatedBy) missing.push('validatedBy');
+    if (!b.sensId) missing.push('sensId');
+    if (!b.heureDebut) missing.push('heureDebut');
+    if (!b.heureFin) missing.push('heureFin');
     if (missing.length) return res.status(400).json({ error: 'Champs requis manquants', missing });
+    if (!HEURE_RE.test(b.heureDebut) || !HEURE_RE.test(b.heureFin)) {
+      return res.status(400).json({ error: 'Horaires attendus au format HH:mm' });
+    }
 
-    const payload = {
-      serviceId: String(b.serviceId),
-      conducteurId: String(b.conducteurId),
-      validatedBy: String(b.validatedBy), // "Régulateur" ou "Chef d'Équipe"
-      vehicleType: b.vehicleType || null,
-      permisChecked: Boolean(b.permisChecked || false),
-      chronometerChecked: Boolean(b.chronometerChecked || false),
-    };
-
-    // Marquer le service comme "Terminée" AVANT de créer le pointage
-    const updatedService = await prisma.service.update({
-      where: { id: b.serviceId },
-      data: { statut: 'Terminée' },
-      include: { ligne: true, conducteur: true }
-    });
+    const sens = await prisma.sens.findUnique({ where: { id: String(b.sensId) } });
+    if (!sens) return res.status(404).json({ error: 'Sens introuvable' });
+    const refsError = await serviceTemplateRefsError(prisma, sens.ligneId, { trajetId: b.trajetId });
+    if (refsError) return res.status(400).json({ error: refsError });
 
-    const pointage = await prisma.pointage.create({
-      data: payload,
-      include: { service: { include: { ligne: true, conducteur: true } }, conducteur: true },
+    const template = await prisma.serviceTemplate.create({
+      data: {
+        ligneId: sens.ligneId,
+        sensId: sens.id,
+        trajetId: b.trajetId || null,
+        nom: b.nom || null,
+        heureDebut: b.heureDebut,
+        heureFin: b.heureFin,
+        valideDu: parseDateFlexible(b.valideDu),
+        valideAu: parseDateFlexible(b.valideAu),
+        joursJson: b.jours ? JSON.stringify(b.jours) : (b.joursJson || null),
+        statut: b.statut || 'Actif',
+      },
+      include: { sens: true, trajet: true },
     });
-
-    res.status(201).json(pointage);
+    res.status(201).json(template);
   } catch (e) {
-    console.error('POST /api/pointages ERROR ->', e);
+    console.error('POST /api/service-templates ERROR ->', e);
     res.status(400).json({ error: e?.message || String(e) });
   }
 });
 
-// UPDATE
-app.put('/api/pointages/:id', async (req, res) => {
+// UPDATE - les modifications sont reportées sur les services datés à venir (à partir d'aujourd'hui),
+// non affectés et encore planifiés ; le passé n'est pas touché (?propagate=false / { propagate: false } : aucun report) :
+// - horaires/sens : recopiés, le véhicule éventuellement affecté est re-contrôlé (409 si chevauchement) ;
+// - validité/jours : les services des jours où la course type ne circule plus sont supprimés
+app.put('/api/service-templates/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
     const b = req.body;
+    if ((b.heureDebut && !HEURE_RE.test(b.heureDebut)) || (b.heureFin && !HEURE_RE.test(b.heureFin))) {
+      return res.status(400).json({ error: 'Horaires attendus au format HH:mm' });
+    }
     const data = {
-      vehicleType: b.vehicleType ?? undefined,
-      permisChecked: b.permisChecked !== undefined ? Boolean(b.permisChecked) : undefined,
-      chronometerChecked: b.chronometerChecked !== undefined ? Boolean(b.chronometerChecked) : undefined,
+      nom: b.nom ?? undefined,
+      sensId: b.sensId ?? undefined,
+      trajetId: b.trajetId === '' ? null : (b.trajetId ?? undefined),
+      heureDebut: b.heureDebut ?? undefined,
+      heureFin: b.heureFin ?? undefined,
+      valideDu: b.valideDu === '' ? null : (b.valideDu ? parseDateFlexible(b.valideDu) : undefined),
+      valideAu: b.valideAu === '' ? null : (b.valideAu ? parseDateFlexible(b.valideAu) : undefined),
+      joursJson: b.jours ? JSON.stringify(b.jours) : (b.joursJson ?? undefined),
+      statut: b.statut ?? undefined,
     };
+    const propagate = listBool(b.propagate === undefined ? req.query.propagate : String(b.propagate)) ?? true;
+
+    const current = await prisma.serviceTemplate.findUnique({ where: { id: req.params.id }, select: { ligneId: true } });
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    const refsError = await serviceTemplateRefsError(prisma, current.ligneId, { sensId: data.sensId, trajetId: data.trajetId });
+    if (refsError) return res.status(400).json({ error: refsError });
+
+    const result = await prisma.$transaction(async (tx) => {
+      const template = await tx.serviceTemplate.update({
+        where: { id: req.params.id },
+        data,
+        include: { sens: true, trajet: true },
+      });
 
-    const pointage = await prisma.pointage.update({
-      where: { id: req.params.id },
-      data,
-      include: { service: { include: { ligne: true, conducteur: true } }, conducteur: true },
-    });
-    res.json(pointage);
+      let propagated = 0;
+      let removed = 0;
+      const timesChanged = Boolean(data.heureDebut || data.heureFin || data.sensId);
+      const daysChanged = data.valideDu !== undefined || data.valideAu !== undefined || data.joursJson !== undefined;
+      if (!propagate || (!timesChanged && !daysChanged)) return { ...template, propagated, removed };
+
+      const services = await tx.service.findMany({
+        where: {
+          templateId: template.id,
+          conducteurId: null,
+          statut: 'Planifiée',
+          date: { gte: new Date(`${getTodayDateParis()}T00:00:00.000Z`) },
+        },
+        include: { ligne: true },
+        orderBy: { date: 'asc' },
+      });
+
+      // Jours où la course type ne circule plus (un régime spécial qui la cite la fait circuler quels que soient ses jours)
+      let kept = services;
+      if (daysChanged && services.length) {
+        const ctx = await loadCalendarContext(tx, services[0].date, services[services.length - 1].date);
+        const runs = (s) => {
+          const regime = resolveLigneDay(ctx, s.ligneId, s.date);
+          if (regime.mode === 'special' && regime.templateIds.includes(template.id)) return templateValidOn(template, s.date);
+          return templateRunsOn(template, s.date, parseJsonObject(s.ligne.calendrierJson));
+        };
+        kept = services.filter(runs);
+        const stale = services.filter(s => !runs(s)).map(s => s.id);
+        if (stale.length) removed = (await tx.service.deleteMany({ where: { id: { in: stale } } })).count;
+      }
+
+      if (timesChanged && kept.length) {
+        const times = { heureDebut: template.heureDebut, heureFin: template.heureFin, sensId: template.sensId };
+        const reasons = [];
+        for (const s of kept.filter(s => s.vehicleParc)) {
+          const check = await checkVehicleAssignment(tx, { ...s, ...times }, s.vehicleParc);
+          reasons.push(...check.errors.map(err => `${toDayKey(s.date)} : ${err}`));
+        }
+        if (reasons.length) {
+          throw Object.assign(new Error('Report des horaires refusé : affectation véhicule refusée'), { status: 409, reasons });
+        }
+        propagated = (await tx.service.updateMany({ where: { id: { in: kept.map(s => s.id) } }, data: times })).count;
+      }
+      return { ...template, propagated, removed };
+    }, { timeout: 60000 });
+
+    res.json(result);
   } catch (e) {
-    console.error('PUT /api/pointages/:id ERROR ->', e);
-    res.status(400).json({ error: String(e) });
+    console.error('PUT /api/service-templates/:id ERROR ->', e);
+    res.status(e.status || 400).json({ error: e.reasons ? e.message : String(e), reasons: e.reasons });
   }
 });
 
-// DELETE
-app.delete('/api/pointages/:id', async (req, res) => {
+// DELETE - les services déjà générés sont conservés (templateId remis à null)
+app.delete('/api/service-templates/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
-    await prisma.pointage.delete({ where: { id: req.params.id } });
+    await prisma.serviceTemplate.delete({ where: { id: req.params.id } });
     res.json({ ok: true });
   } catch (e) {
     res.status(400).json({ error: String(e) });
   }
 });
 
-// ===================== SAEIV ENDPOINTS =====================
-
-// GET ALL SAEIV
-app.get('/api/saeivs', async (_req, res) => {
+// Crée les courses types d'une ligne à partir de ses services existants et les y rattache
+app.post('/api/lignes/:id/service-templates/from-services', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
-    const saeivs = await prisma.sAEIV.findMany({ orderBy: { numero: 'asc' } });
-    res.json(saeivs);
-  } catch (e) {
-    console.error('GET /api/saeivs ERROR ->', e);
-    res.status(400).json({ error: String(e) });
-  }
-});
+    const ligne = await prisma.ligne.findUnique({ where: { id: req.params.id } });
+    if (!ligne) return res.status(404).json({ error: 'Not found' });
 
-// GET SINGLE SAEIV
-app.get('/api/saeivs/:id', async (req, res) => {
-  try {
-    const saeiv = await prisma.sAEIV.findUnique({ where: { id: req.params.id } });
-    if (!saeiv) return res.status(404).json({ error: 'Not found' });
-    res.json(saeiv);
+    const result = await prisma.$transaction(async (tx) => {
+      const patterns = (await lineServicePatterns(tx, ligne.id)).filter(p => p.sensId);
+      const templates = [];
+      let linked = 0;
+      for (const p of patterns) {
+        const template = await findOrCreateServiceTemplate(tx, { ligneId: ligne.id, sensId: p.sensId, heureDebut: p.heureDebut, heureFin: p.heureFin });
+        const { count } = await tx.service.updateMany({
+          where: { ligneId: ligne.id, sensId: p.sensId, heureDebut: p.heureDebut, heureFin: p.heureFin, templateId: null },
+          data: { templateId: template.id },
+        });
+        linked += count;
+        templates.push(template);
+      }
+      return { templates, linked };
+    });
+
+    res.status(201).json(result);
   } catch (e) {
+    console.error('POST /api/lignes/:id/service-templates/from-services ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// CREATE SAEIV
-app.post('/api/saeivs', async (req, res) => {
+// ========== PLANNING ==========
+
+// ?date= ou ?from=&to= -> { fromKey, toKey, from, to } (jours UTC, to inclus), null si invalide
+function parseDayRange(query) {
+  const today = getTodayDateParis();
+  const fromKey = toDayKey(query.from || query.date || today);
+  const toKey = toDayKey(query.to || query.from || query.date || today);
+  if (!fromKey || !toKey || fromKey > toKey) return null;
+  return {
+    fromKey,
+    toKey,
+    from: new Date(`${fromKey}T00:00:00.000Z`),
+    to: new Date(`${toKey}T00:00:00.000Z`),
+  };
+}
+
+// CONFLITS : services d'un même conducteur qui se chevauchent ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/planning/conflicts', async (req, res) => {
   try {
-    const b = req.body;
-    const missing = [];
-    if (!b.numero) missing.push('numero');
-    if (!b.libelle) missing.push('libelle');
-    if (!b.type) missing.push('type');
+    const range = parseDayRange(req.query);
+    if (!range) return res.status(400).json({ error: 'Paramètres from/to invalides (YYYY-MM-DD, from <= to)' });
+    const { fromKey, toKey, from, to } = range;
 
-    if (missing.length > 0) {
-      return res.status(400).json({ error: `Missing fields: ${missing.join(', ')}` });
+    // La veille est chargée pour les services qui passent minuit
+    const services = await prisma.service.findMany({
+      where: {
+        conducteurId: { not: null },
+        statut: { not: 'Annulée' },
+        date: { gte: new Date(from.getTime() - DAY_MS), lt: new Date(to.getTime() + DAY_MS) },
+      },
+      include: {
+        ligne: { select: { id: true, numero: true, nom: true } },
+        conducteur: { select: { id: true, nom: true, prenom: true, matricule: true } },
+      },
+    });
+
+    const byConducteur = new Map();
+    for (const s of services) {
+      if (!byConducteur.has(s.conducteurId)) byConducteur.set(s.conducteurId, []);
+      byConducteur.get(s.conducteurId).push({ service: s, ...serviceInterval(s) });
     }
 
-    const saeiv = await prisma.sAEIV.create({
-      data: {
-        numero: b.numero,
-        libelle: b.libelle,
-        type: b.type,
-        statut: b.statut || 'Actif',
-      },
+    const summary = (s) => ({
+      id: s.id,
+      date: toDayKey(s.date),
+      heureDebut: s.heureDebut,
+      heureFin: s.heureFin,
+      statut: s.statut,
+      ligne: s.ligne,
     });
+    const inRange = (s) => toDayKey(s.date) >= fromKey && toDayKey(s.date) <= toKey;
+
+    const conflicts = [];
+    for (const items of byConducteur.values()) {
+      items.sort((a, b) => a.start - b.start);
+      for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length && items[j].start < items[i].end; j++) {
+          const a = items[i].service;
+          const b = items[j].service;
+          if (!inRange(a) && !inRange(b)) continue;
+          conflicts.push({
+            conducteur: a.conducteur,
+            chevauchementMinutes: Math.min(items[i].end, items[j].end) - items[j].start,
+            services: [summary(a), summary(b)],
+          });
+        }
+      }
+    }
 
-    res.json(saeiv);
+    res.json({ from: fromKey, to: toKey, total: conflicts.length, conflicts });
   } catch (e) {
-    console.error('POST /api/saeivs ERROR ->', e);
+    console.error('GET /api/planning/conflicts ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// UPDATE SAEIV
-app.put('/api/saeivs/:id', async (req, res) => {
-  try {
-    const b = req.body;
-    const data = {
-      numero: b.numero ?? undefined,
-      libelle: b.libelle ?? undefined,
-      type: b.type ?? undefined,
-      statut: b.statut ?? undefined,
-    };
+// ---------- Affectation automatique ----------
 
-    const saeiv = await prisma.sAEIV.update({ where: { id: req.params.id }, data });
-    res.json(saeiv);
+// Durée maximale de la transaction (annulée) d'une prévisualisation d'affectation automatique
+const AUTO_ASSIGN_PREVIEW_TIMEOUT_MS = (Number(process.env.AUTO_ASSIGN_PREVIEW_TIMEOUT_S) || 30) * 1000;
+
+// Exécute process(tx) dans une transaction toujours annulée (même technique que runTransactionalImport) -> son résultat
+async function runRolledBackTransaction(process, { timeout }) {
+  const rollback = new Error('Simulation annulée');
+  try {
+    await prisma.$transaction(async (tx) => {
+      rollback.result = await process(tx);
+      throw rollback;
+    }, { timeout });
   } catch (e) {
-    console.error('PUT /api/saeivs/:id ERROR ->', e);
-    res.status(400).json({ error: String(e) });
+    if (e?.code === 'P2028') {
+      throw new Error(`Simulation interrompue après ${timeout / 1000} s : réduire la période ou filtrer par ligne`);
+    }
+    if (e !== rollback) throw e;
+    return e.result;
   }
-});
+}
 
-// DELETE SAEIV
-app.delete('/api/saeivs/:id', async (req, res) => {
+// Propose un conducteur pour chaque service non affecté de la période :
+// contrôles d'affectation complets, puis le conducteur le moins chargé sur la période.
+// Chaque affectation retenue est écrite dans db pour que les contrôles suivants en tiennent compte :
+// à appeler dans une transaction annulée (runRolledBackTransaction)
+async function buildAutoAssignPlan(db, { fromKey, toKey, from, to }, { ligneId } = {}) {
+  const rangeEnd = new Date(to.getTime() + DAY_MS);
+  const [pending, conducteurs, assigned] = await Promise.all([
+    db.service.findMany({
+      where: { conducteurId: null, statut: 'Planifiée', date: { gte: from, lt: rangeEnd }, ...(ligneId ? { ligneId } : {}) },
+      include: { ligne: true },
+    }),
+    db.conducteur.findMany({ where: { statut: 'Actif' }, orderBy: { nom: 'asc' } }),
+    db.service.findMany({
+      where: { conducteurId: { not: null }, statut: { not: 'Annulée' }, date: { gte: from, lt: rangeEnd } },
+      select: { conducteurId: true, ligneId: true, templateId: true, date: true, heureDebut: true, heureFin: true },
+    }),
+  ]);
+  // Les services que les calendriers d'exception suppriment ne sont ni à affecter ni comptés dans la charge
+  const planned = await filterServicesPerCalendar(db, assigned);
+  const todo = (await filterServicesPerCalendar(db, pending)).sort((a, b) => serviceInterval(a).start - serviceInterval(b).start);
+
+  // Charge de chaque conducteur sur la période (minutes déjà planifiées)
+  const charge = new Map(conducteurs.map(c => [c.id, 0]));
+  for (const s of planned) {
+    if (charge.has(s.conducteurId)) {
+      const iv = serviceInterval(s);
+      charge.set(s.conducteurId, charge.get(s.conducteurId) + (iv.end - iv.start));
+    }
+  }
+
+  const assignments = [];
+  const unassigned = [];
+  for (const service of todo) {
+    const candidates = [...conducteurs].sort((a, b) => charge.get(a.id) - charge.get(b.id));
+    const rejects = [];
+    let chosen = null;
+    for (const c of candidates) {
+      const check = await checkConducteurAssignment(db, service, c.id);
+      if (!check.conflicts.length && !check.errors.length) {
+        chosen = { conducteur: c, warnings: check.warnings };
+        break;
+      }
+      rejects.push(...check.conflicts, ...check.errors);
+    }
+
+    const summary = {
+      serviceId: service.id,
+      date: toDayKey(service.date),
+      heureDebut: service.heureDebut,
+      heureFin: service.heureFin,
+      ligne: service.ligne ? { id: service.ligne.id, numero: service.ligne.numero } : null,
+    };
+    if (!chosen) {
+      unassigned.push({ ...summary, candidatsRejetes: candidates.length, exemples: rejects.slice(0, 3) });
+      continue;
+    }
+
+    // Le service est affecté dans la transaction : les contrôles suivants en tiennent compte
+    await db.service.update({ where: { id: service.id }, data: { conducteurId: chosen.conducteur.id } });
+    const iv = serviceInterval(service);
+    charge.set(chosen.conducteur.id, charge.get(chosen.conducteur.id) + (iv.end - iv.start));
+    assignments.push({
+      ...summary,
+      conducteurId: chosen.conducteur.id,
+      conducteur: { id: chosen.conducteur.id, nom: chosen.conducteur.nom, prenom: chosen.conducteur.prenom, matricule: chosen.conducteur.matricule },
+      warnings: chosen.warnings,
+    });
+  }
+
+  return {
+    from: fromKey,
+    to: toKey,
+    totalServices: todo.length,
+    assignments,
+    unassigned,
+    charge: conducteurs.map(c => ({
+      conducteurId: c.id,
+      nom: c.nom,
+      prenom: c.prenom,
+      heures: Math.round((charge.get(c.id) / 60) * 100) / 100,
+    })),
+  };
+}
+
+// PRÉVISUALISATION ?date= ou ?from=&to= (&ligneId=) - simulée dans une transaction annulée, n'écrit rien
+app.post('/api/planning/auto-assign', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
-    await prisma.sAEIV.delete({ where: { id: req.params.id } });
-    res.json({ ok: true });
+    const range = parseDayRange(req.query);
+    if (!range) return res.status(400).json({ error: 'Paramètres date ou from/to invalides (YYYY-MM-DD)' });
+    const ligneId = req.query.ligneId ? String(req.query.ligneId) : undefined;
+    discardPlanningEvents();
+    const plan = await runRolledBackTransaction(
+      (tx) => buildAutoAssignPlan(tx, range, { ligneId }),
+      { timeout: AUTO_ASSIGN_PREVIEW_TIMEOUT_MS }
+    );
+    res.json(plan);
   } catch (e) {
+    console.error('POST /api/planning/auto-assign ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// ===================== SENS ENDPOINTS =====================
+// VALIDATION d'un plan prévisualisé : { assignments: [{ serviceId, conducteurId }] }
+// Tout ou rien : chaque affectation est re-contrôlée dans la transaction
+app.post('/api/planning/auto-assign/commit', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  const assignments = Array.isArray(req.body?.assignments) ? req.body.assignments : [];
+  if (!assignments.length) return res.status(400).json({ error: 'Aucune affectation à valider' });
 
-// GET SENS BY LIGNE
-app.get('/api/sens/ligne/:ligneId', async (req, res) => {
   try {
-    const sens = await prisma.sens.findMany({ 
-      where: { ligneId: req.params.ligneId },
-      orderBy: { ordre: 'asc' }
+    const committed = await prisma.$transaction(async (tx) => {
+      const done = [];
+      for (const a of assignments) {
+        const service = await tx.service.findUnique({ where: { id: String(a.serviceId) }, include: { ligne: true } });
+        if (!service) {
+          throw Object.assign(new Error(`Service ${a.serviceId} introuvable`), { serviceId: a.serviceId, status: 404 });
+        }
+        if (service.conducteurId) {
+          throw Object.assign(new Error(`Service ${service.id} déjà affecté entre-temps`), { serviceId: service.id });
+        }
+        if (service.statut !== 'Planifiée') {
+          throw Object.assign(new Error(`Service ${service.id} n'est plus planifié (statut : ${service.statut})`), { serviceId: service.id });
+        }
+        const guard = await evaluateConducteurAssignment(tx, { ...service, conducteurId: String(a.conducteurId) });
+        if (guard.blocked) {
+          throw Object.assign(new Error(guard.body.error), { serviceId: service.id, details: guard.body });
+        }
+        await tx.service.update({ where: { id: service.id }, data: { conducteurId: String(a.conducteurId) } });
+        done.push(service.id);
+      }
+      return done;
+    }, { timeout: 60000 });
+
+    res.json({ committed: committed.length, serviceIds: committed });
+  } catch (e) {
+    console.error('POST /api/planning/auto-assign/commit ERROR ->', e.message);
+    res.status(e.status || (e.serviceId ? 409 : 400)).json({ error: e.message, serviceId: e.serviceId, details: e.details, committed: 0 });
+  }
+});
+
+// ---------- Génération des services depuis les calendriers ----------
+
+// Index = Date.getUTCDay()
+const JOURS_SEMAINE = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+const GENERATION_MAX_JOURS = 366;
+
+// Clé d'unicité d'un service daté (idempotence de la génération)
+// Issu d'une course type : (course type, jour), les horaires pouvant avoir changé depuis ;
+// sinon (grille héritée, service saisi à la main) : (sens, jour, début, fin)
+function serviceOccurrenceKey({ templateId, sensId, date, heureDebut, heureFin }) {
+  if (templateId) return ['T', templateId, toDayKey(date)].join('|');
+  return [sensId || '', toDayKey(date), heureDebut, heureFin].join('|');
+}
+
+// Grille horaire héritée (lignes sans courses types) : couples (sens, début, fin) distincts de ses services
+async function lineServicePatterns(db, ligneId) {
+  const services = await db.service.findMany({
+    where: { ligneId, statut: { not: 'Annulée' } },
+    select: { sensId: true, heureDebut: true, heureFin: true },
+  });
+  const patterns = new Map();
+  for (const s of services) patterns.set([s.sensId || '', s.heureDebut, s.heureFin].join('|'), { ...s, id: null });
+  return [...patterns.values()].sort((a, b) => a.heureDebut.localeCompare(b.heureDebut));
+}
+
+// Services datés à créer pour une ligne sur [from, to] (jours UTC, to inclus)
+// Source : courses types actives de la ligne, à défaut la grille héritée de ses services
+// -> { ligne, toCreate: [...], skipped } ; rien n'est écrit
+async function planLigneServices(db, ligne, { from, to }, calendarCtx) {
+  const calendrier = parseJsonObject(ligne.calendrierJson) || {};
+  const templates = await db.serviceTemplate.findMany({ where: { ligneId: ligne.id, statut: 'Actif' } });
+  const sources = templates.length ? templates : await lineServicePatterns(db, ligne.id);
+  const end = new Date(to.getTime() + DAY_MS);
+  const ctx = calendarCtx || await loadCalendarContext(db, from, to);
+
+  const existing = await db.service.findMany({
+    where: { ligneId: ligne.id, date: { gte: from, lt: end } },
+    select: { templateId: true, sensId: true, date: true, heureDebut: true, heureFin: true, createdAt: true },
+  });
+  const existingKeys = new Set(existing.map(serviceOccurrenceKey));
+  // Jours déjà planifiés par la grille héritée (services sans course type saisis avant les courses types de la ligne) :
+  // leurs horaires ont pu être retouchés à la main, ils ne se comparent pas aux horaires et le jour n'est pas regénéré
+  const since = templates.reduce((min, t) => Math.min(min, t.createdAt.getTime()), Infinity);
+  const legacyDays = new Set(existing.filter(s => !s.templateId && s.createdAt.getTime() < since).map(s => toDayKey(s.date)));
+
+  const toCreate = [];
+  let skipped = 0;
+  for (let day = from; day < end; day = new Date(day.getTime() + DAY_MS)) {
+    // Calendriers d'exception : ligne suspendue, ou seules les courses types du régime spécial,
+    // quels que soient leurs jours de semaine (un férié qui suit les courses du dimanche)
+    const regime = resolveLigneDay(ctx, ligne.id, day);
+    if (regime.mode === 'ne_circule_pas') continue;
+    const special = regime.mode === 'special';
+    const daySources = special ? templates.filter(t => regime.templateIds.includes(t.id)) : sources;
+
+    for (const t of daySources) {
+      if (special ? !templateValidOn(t, day) : !templateRunsOn(t, day, calendrier)) continue;
+      const occurrence = {
+        ligneId: ligne.id,
+        sensId: t.sensId || null,
+        templateId: t.id || null,
+        date: day,
+        heureDebut: t.heureDebut,
+        heureFin: t.heureFin,
+        statut: 'Planifiée',
+      };
+      // Un service non rattaché aux mêmes horaires (ajouté à la main depuis) compte aussi comme déjà présent
+      const key = serviceOccurrenceKey(occurrence);
+      const timesKey = serviceOccurrenceKey({ ...occurrence, templateId: null });
+      if (legacyDays.has(toDayKey(day)) || existingKeys.has(key) || existingKeys.has(timesKey)) {
+        skipped++;
+        continue;
+      }
+      existingKeys.add(key);
+      toCreate.push(occurrence);
+    }
+  }
+  return { ligne, toCreate, skipped };
+}
+
+// GÉNÉRATION ?from=YYYY-MM-DD&to=YYYY-MM-DD(&ligneId=)(&dryRun=true)
+// Idempotent : une occurrence (course type, date) ou (sens, date, début, fin) déjà présente n'est pas recréée,
+// ni un jour déjà planifié par la grille héritée
+app.post('/api/services/generate', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const params = { ...req.body, ...req.query };
+    if (!params.from || !params.to) return res.status(400).json({ error: 'Champs requis manquants', missing: ['from', 'to'].filter(k => !params[k]) });
+    const range = parseDayRange(params);
+    if (!range) return res.status(400).json({ error: 'Paramètres from/to invalides (YYYY-MM-DD, from <= to)' });
+    if ((range.to - range.from) / DAY_MS >= GENERATION_MAX_JOURS) {
+      return res.status(400).json({ error: `Période limitée à ${GENERATION_MAX_JOURS} jours` });
+    }
+    const dryRun = String(params.dryRun) === 'true';
+
+    const where = { statut: 'Actif' };
+    if (params.ligneId) where.id = String(params.ligneId);
+    const lignes = await prisma.ligne.findMany({ where, orderBy: { numero: 'asc' } });
+
+    const calendarCtx = await loadCalendarContext(prisma, range.from, range.to);
+    const plans = [];
+    for (const ligne of lignes) plans.push(await planLigneServices(prisma, ligne, range, calendarCtx));
+
+    if (!dryRun) {
+      await prisma.$transaction(
+        plans.filter(p => p.toCreate.length).map(p => prisma.service.createMany({ data: p.toCreate }))
+      );
+    }
+
+    const created = plans.reduce((sum, p) => sum + p.toCreate.length, 0);
+    res.status(dryRun ? 200 : 201).json({
+      from: range.fromKey,
+      to: range.toKey,
+      dryRun,
+      created,
+      skipped: plans.reduce((sum, p) => sum + p.skipped, 0),
+      lignes: plans.map(p => ({
+        ligneId: p.ligne.id,
+        numero: p.ligne.numero,
+        created: p.toCreate.length,
+        skipped: p.skipped,
+        services: dryRun
+          ? p.toCreate.map(o => ({ date: toDayKey(o.date), sensId: o.sensId, heureDebut: o.heureDebut, heureFin: o.heureFin }))
+          : undefined,
+      })),
     });
-    res.json(sens);
   } catch (e) {
-    console.error('GET /api/sens/ligne/:ligneId ERROR ->', e);
+    console.error('POST /api/services/generate ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// GET SINGLE SENS
-app.get('/api/sens/:id', async (req, res) => {
+// ========== SERVICES ==========
+
+// LIST ?date= ou ?dateFrom=&dateTo=, ?ligneId=&sensId=&conducteurId=&vehicleParc=&statut=&q=&sort=&limit=&page=|cursor=
+app.get('/api/services', async (req, res) => {
   try {
-    const sens = await prisma.sens.findUnique({ 
+    console.log('[API] GET /api/services - prismaReady:', prismaReady);
+    if (!prismaReady) {
+      return res.status(503).json({ error: 'Database not ready' });
+    }
+    const { date } = req.query;
+    // Date illisible : sans ce contrôle, le filtre de date disparaîtrait et tous les services seraient chargés
+    const dayKey = date ? toDayKey(date) : null;
+    if (date && !dayKey) throw listQueryError(`Date invalide : ${date}`);
+    const list = parseListQuery(req.query, {
+      key: 'id',
+      sortable: ['date', 'heureDebut', 'heureFin', 'statut', 'ligneId', 'conducteurId', 'vehicleParc', 'createdAt'],
+      defaultSort: 'date,heureDebut',
+      searchFields: ['ligne.numero', 'ligne.nom', 'conducteur.nom', 'conducteur.prenom', 'conducteur.matricule', 'vehicleParc'],
+    });
+    const where = list.where({
+      ligneId: listIn(req.query.ligneId),
+      sensId: listIn(req.query.sensId),
+      conducteurId: listIn(req.query.conducteurId),
+      vehicleParc: listIn(req.query.vehicleParc),
+      statut: listIn(req.query.statut),
+      date: dayKey ? listDateRange(dayKey, dayKey) : listDateRange(req.query.dateFrom, req.query.dateTo),
+    });
+    const include = { ligne: true, conducteur: true, vehicle: true };
+
+    // Sur une journée, masquer ce que les calendriers d'exception suppriment (?ignoreCalendrier=true pour tout voir) :
+    // le filtre se fait en mémoire, la page est découpée ensuite
+    if (dayKey && req.query.ignoreCalendrier !== 'true') {
+      const all = await prisma.service.findMany({ where, include, orderBy: list.findArgs.orderBy });
+      const day = new Date(`${dayKey}T00:00:00.000Z`);
+      const ctx = all.length ? await loadCalendarContext(prisma, day, day) : null;
+      const running = ctx ? all.filter(s => serviceRunsPerCalendar(ctx, s)) : all;
+      const services = paginateInMemory(running, list);
+      console.log('[API] GET /api/services - found:', services.length, '/', running.length);
+      return sendList(res, services, running.length, list);
+    }
+
+    const [services, total] = await Promise.all([
+      prisma.service.findMany({ where, include, ...list.findArgs }),
+      prisma.service.count({ where }),
+    ]);
+    console.log('[API] GET /api/services - found:', services.length, '/', total);
+    sendList(res, services, total, list);
+  } catch (e) {
+    console.error('GET /api/services ERROR ->', e.message);
+    console.error('Stack:', e.stack);
+    res.status(e.status || 500).json({ error: String(e.message) });
+  }
+});
+
+// DETAIL
+app.get('/api/services/:id', async (req, res) => {
+  try {
+    const service = await prisma.service.findUnique({
       where: { id: req.params.id },
-      include: { services: true }
+      include: { ligne: true, conducteur: true, vehicle: true },
     });
-    if (!sens) return res.status(404).json({ error: 'Not found' });
-    res.json(sens);
+    if (!service) return res.status(404).json({ error: 'Not found' });
+    res.json(service);
   } catch (e) {
     res.status(400).json({ error: String(e) });
   }
 });
 
-// CREATE SENS
-app.post('/api/sens', async (req, res) => {
+// CREATE
+app.post('/api/services', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
     const b = req.body;
-    if (!b.ligneId || !b.nom) {
-      return res.status(400).json({ error: 'Missing fields: ligneId, nom' });
+    const missing = [];
+    if (!b.ligneId) missing.push('ligneId');
+    if (!b.date) missing.push('date');
+    if (!b.heureDebut) missing.push('heureDebut');
+    if (!b.heureFin) missing.push('heureFin');
+    if (missing.length) return res.status(400).json({ error: 'Champs requis manquants', missing });
+
+    const payload = {
+      ligneId: String(b.ligneId),
+      conducteurId: b.conducteurId || null,
+      vehicleParc: b.vehicleParc ? String(b.vehicleParc) : null,
+      date: new Date(b.date),
+      heureDebut: String(b.heureDebut),
+      heureFin: String(b.heureFin),
+      statut: String(b.statut || 'Planifiée'),
+    };
+
+    let warnings = [];
+    if (payload.vehicleParc) {
+      const check = await checkVehicleAssignment(prisma, payload, payload.vehicleParc);
+      if (check.errors.length) {
+        return res.status(409).json({ error: 'Affectation véhicule refusée', reasons: check.errors, warnings: check.warnings });
+      }
+      warnings = check.warnings;
     }
 
-    const sens = await prisma.sens.create({
-      data: {
-        ligneId: b.ligneId,
-        nom: b.nom,
-        direction: b.direction || null,
-        ordre: b.ordre || 1,
-        statut: b.statut || 'Actif',
-      },
-    });
+    const forcing = parseForceRequest(b);
+    if (forcing.error) return res.status(400).json(forcing);
+    let guard = { overridden: null, warnings: [] };
+    if (payload.conducteurId) {
+      guard = await evaluateConducteurAssignment(prisma, payload, { force: forcing.force });
+      if (guard.blocked) return res.status(409).json(guard.body);
+      warnings = warnings.concat(guard.warnings);
+    }
 
-    res.json(sens);
+    const service = await prisma.$transaction(async (tx) => {
+      const created = await tx.service.create({
+        data: payload,
+        include: { ligne: true, conducteur: true, vehicle: true },
+      });
+      if (guard.overridden) {
+        await recordAssignmentOverride(tx, {
+          serviceId: created.id,
+          conducteurId: created.conducteurId,
+          reasons: guard.overridden,
+          motif: forcing.motif,
+          author: authorOf(req),
+        });
+      }
+      return created;
+    });
+    res.status(201).json(warnings.length ? { ...service, warnings } : service);
   } catch (e) {
-    console.error('POST /api/sens ERROR ->', e);
-    res.status(400).json({ error: String(e) });
+    console.error('POST /api/services ERROR ->', e);
+    res.status(400).json({ error: e?.message || String(e) });
   }
 });
 
-// UPDATE SENS
-app.put('/api/sens/:id', async (req, res) => {
+// UPDATE
+app.put('/api/services/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
     const b = req.body;
     const data = {
-      nom: b.nom ?? undefined,
-      direction: b.direction ?? undefined,
-      ordre: b.ordre ?? undefined,
+      conducteurId: b.conducteurId !== undefined ? (b.conducteurId || null) : undefined,
+      vehicleParc: b.vehicleParc !== undefined ? (b.vehicleParc ? String(b.vehicleParc) : null) : undefined,
+      heureDebut: b.heureDebut ?? undefined,
+      heureFin: b.heureFin ?? undefined,
       statut: b.statut ?? undefined,
     };
 
-    const sens = await prisma.sens.update({ where: { id: req.params.id }, data });
-    res.json(sens);
+    const current = await prisma.service.findUnique({ where: { id: req.params.id }, include: { ligne: true } });
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    const statutError = serviceStatutChangeError(current, data.statut);
+    if (statutError) return res.status(409).json({ error: statutError });
+
+    // Re-contrôler le véhicule s'il change, ou si les horaires bougent
+    let warnings = [];
+    const merged = { ...current, ...Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined)) };
+    const timesChanged = merged.heureDebut !== current.heureDebut || merged.heureFin !== current.heureFin;
+    if (merged.vehicleParc && (merged.vehicleParc !== current.vehicleParc || timesChanged)) {
+      const check = await checkVehicleAssignment(prisma, merged, merged.vehicleParc);
+      if (check.errors.length) {
+        return res.status(409).json({ error: 'Affectation véhicule refusée', reasons: check.errors, warnings: check.warnings });
+      }
+      warnings = check.warnings;
+    }
+
+    // Re-contrôler le conducteur s'il change, si le véhicule change (habilitations) ou si les horaires bougent
+    const forcing = parseForceRequest(b);
+    if (forcing.error) return res.status(400).json(forcing);
+    let guard = { overridden: null, warnings: [] };
+    if (merged.conducteurId && (merged.conducteurId !== current.conducteurId || merged.vehicleParc !== current.vehicleParc || timesChanged)) {
+      guard = await evaluateConducteurAssignment(prisma, merged, { force: forcing.force });
+      if (guard.blocked) return res.status(409).json(guard.body);
+      warnings = warnings.concat(guard.warnings);
+    }
+
+    const service = await prisma.$transaction(async (tx) => {
+      const updated = await tx.service.update({
+        where: { id: req.params.id },
+        data,
+        include: { ligne: true, conducteur: true, vehicle: true },
+      });
+      if (guard.overridden) {
+        await recordAssignmentOverride(tx, {
+          serviceId: updated.id,
+          conducteurId: updated.conducteurId,
+          reasons: guard.overridden,
+          motif: forcing.motif,
+          author: authorOf(req),
+        });
+      }
+      return updated;
+    });
+    res.json(warnings.length ? { ...service, warnings } : service);
   } catch (e) {
-    console.error('PUT /api/sens/:id ERROR ->', e);
+    console.error('PUT /api/services/:id ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// DELETE SENS
-app.delete('/api/sens/:id', async (req, res) => {
+// DELETE
+app.delete('/api/services/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
   try {
-    await prisma.sens.delete({ where: { id: req.params.id } });
+    await prisma.service.delete({ where: { id: req.params.id } });
     res.json({ ok: true });
   } catch (e) {
     res.status(400).json({ error: String(e) });
   }
 });
 
-// ===================== SERVICES ENDPOINTS (pour LignesHierarchie) =====================
+// ========== POINTAGES ==========
 
-// GET SERVICES BY SENS
-app.get('/api/services-hierarchie/sens/:sensId', async (req, res) => {
+// Prise de service non pointée N minutes après l'heure de début -> service "Non pris"
+const POINTAGE_NON_PRIS_MINUTES = Number(process.env.POINTAGE_NON_PRIS_MINUTES) || 15;
+
+// Cycle de vie d'un service : Planifiée -> En cours (prise) -> Terminée (fin)
+// "En cours" et "Terminée" ne s'obtiennent que par pointage ; un service "Non pris" peut encore être pris en retard
+const SERVICE_TRANSITIONS = {
+  'Planifiée': ['En cours', 'Non pris', 'Annulée'],
+  'Non pris': ['En cours', 'Planifiée', 'Annulée'],
+  'En cours': ['Terminée'],
+  'Terminée': [],
+  'Annulée': ['Planifiée'],
+};
+const POINTAGE_STATUTS = { Prise: 'En cours', Fin: 'Terminée' };
+
+// Instant réel d'une heure "HH:mm" du jour de service (heure de Paris, minutes >= 1440 = lendemain)
+function serviceInstant(service, minutes) {
+  const [y, m, d] = toDayKey(service.date).split('-').map(Number);
+  return new Date(parisMidnight(y, m, d).getTime() + minutes * 60000);
+}
+
+// Heures prévues de prise et de fin d'un service (fin le lendemain si le service passe minuit)
+function servicePlannedTimes(service) {
+  const { start, end } = serviceInterval(service);
+  const base = Math.floor(start / 1440) * 1440;
+  return { debut: serviceInstant(service, start - base), fin: serviceInstant(service, end - base) };
+}
+
+// Changement de statut manuel (PUT service) : transitions autorisées, hors statuts attribués par pointage
+function serviceStatutChangeError(current, statut) {
+  if (statut === undefined || statut === current.statut) return null;
+  if (Object.values(POINTAGE_STATUTS).includes(statut)) return `Statut "${statut}" attribué par pointage (POST /api/pointages)`;
+  if (!SERVICE_TRANSITIONS[current.statut]?.includes(statut)) return `Transition de statut interdite : ${current.statut} -> ${statut}`;
+  return null;
+}
+
+// Heure réelle d'un pointage : now, ISO complet, ou "HH:mm" du jour de service (saisie a posteriori)
+function pointageInstant(service, value, now = new Date()) {
+  if (!value) return now;
+  if (/^\d{1,2}:\d{2}$/.test(String(value))) {
+    const minutes = timeToMinutes(value);
+    // Heure "après minuit" d'un service qui passe minuit
+    const { start } = serviceInterval(service);
+    const lendemain = minutes < start % 1440 - 12 * 60;
+    return serviceInstant(service, minutes + (lendemain ? 1440 : 0));
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`Heure de pointage invalide : ${value}`);
+  return date;
+}
+
+// Passe en "Non pris" les services planifiés dont la prise n'est pas pointée à temps
+async function flagNonPrisServices(db, now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const candidates = await db.service.findMany({
+    where: { statut: 'Planifiée', date: { gte: new Date(today - 2 * DAY_MS), lte: new Date(today + DAY_MS) } },
+    select: {
+      id: true, ligneId: true, templateId: true, date: true, heureDebut: true, heureFin: true,
+      ligne: { select: { statut: true } },
+      template: { select: { statut: true, valideDu: true, valideAu: true } },
+    },
+  });
+  // Un service qui ne circule pas ce jour-là n'est pas à prendre : ligne hors service, course type inactive
+  // ou hors validité, jour supprimé par les calendriers d'exception
+  const running = candidates.filter(s => s.ligne?.statut === 'Actif'
+    && (!s.template || (s.template.statut === 'Actif' && templateValidOn(s.template, s.date))));
+  const late = (await filterServicesPerCalendar(db, running)).filter(s => servicePlannedTimes(s).debut.getTime() + POINTAGE_NON_PRIS_MINUTES * 60000 < now.getTime());
+  if (!late.length) return 0;
+  const { count } = await db.service.updateMany({
+    where: { id: { in: late.map(s => s.id) }, statut: 'Planifiée' },
+    data: { statut: 'Non pris' },
+  });
+  if (count) console.log(`[POINTAGES] ${count} service(s) passé(s) en "Non pris"`);
+  return count;
+}
+
+// Champs de relevé de fin de service (km, carburant) validés
+function pointageReleves(b) {
+  const releves = {};
+  if (b.kmReleve !== undefined && b.kmReleve !== null && b.kmReleve !== '') {
+    const km = Number(b.kmReleve);
+    if (!Number.isInteger(km) || km < 0) throw new Error('kmReleve doit être un entier positif');
+    releves.kmReleve = km;
+  }
+  if (b.carburantNiveau !== undefined && b.carburantNiveau !== null && b.carburantNiveau !== '') {
+    const niveau = Number(b.carburantNiveau);
+    if (!Number.isFinite(niveau) || niveau < 0 || niveau > 100) throw new Error('carburantNiveau doit être compris entre 0 et 100 (%)');
+    releves.carburantNiveau = Math.round(niveau);
+  }
+  if (b.carburantLitres !== undefined && b.carburantLitres !== null && b.carburantLitres !== '') {
+    const litres = Number(b.carburantLitres);
+    if (!Number.isFinite(litres) || litres < 0) throw new Error('carburantLitres doit être positif');
+    releves.carburantLitres = litres;
+  }
+  return releves;
+}
+
+const POINTAGE_INCLUDE = { service: { include: { ligne: true, conducteur: true, vehicle: true } }, conducteur: true };
+
+// LIST ?serviceId=&conducteurId=&type=&validatedBy=&dateFrom=&dateTo=&q=&sort=&limit=&page=|cursor=
+app.get('/api/pointages', async (req, res) => {
   try {
-    const services = await prisma.service.findMany({ 
-      where: { sensId: req.params.sensId },
-      include: { conducteur: true }
+    const list = parseListQuery(req.query, {
+      key: 'id',
+      sortable: ['validatedAt', 'type', 'ecartMinutes', 'validatedBy', 'conducteurId', 'serviceId'],
+      defaultSort: '-validatedAt',
+      searchFields: ['conducteur.nom', 'conducteur.prenom', 'conducteur.matricule', 'service.ligne.numero', 'commentaire'],
     });
-    res.json(services);
+    // dateFrom / dateTo : jours de Paris (YYYY-MM-DD inclus) ou instants ISO
+    const where = list.where({
+      serviceId: listIn(req.query.serviceId),
+      conducteurId: listIn(req.query.conducteurId),
+      type: listIn(req.query.type),
+      validatedBy: listIn(req.query.validatedBy),
+      validatedAt: listDateRange(req.query.dateFrom, req.query.dateTo, { paris: true }),
+    });
+
+    const [pointages, total] = await Promise.all([
+      prisma.pointage.findMany({
+        where,
+        include: { service: { include: { ligne: true, conducteur: true } }, conducteur: true },
+        ...list.findArgs,
+      }),
+      prisma.pointage.count({ where }),
+    ]);
+    sendList(res, pointages, total, list);
   } catch (e) {
-    console.error('GET /api/services-hierarchie/sens/:sensId ERROR ->', e);
+    console.error('GET /api/pointages ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// CREATE SERVICE (for LignesHierarchie)
-app.post('/api/services-hierarchie', async (req, res) => {
+// STATS - Statistiques quotidiennes TC 360+ ?date= (jour de service, Europe/Paris)
+app.get('/api/pointages/stats/daily', async (req, res) => {
   try {
-    const b = req.body;
-    if (!b.sensId || !b.heureDebut || !b.heureFin) {
-      return res.status(400).json({ error: 'Missing fields: sensId, heureDebut, heureFin' });
-    }
+    const range = parseDayRange({ date: req.query.date });
+    if (!range) return res.status(400).json({ error: 'Paramètre date invalide (YYYY-MM-DD)' });
 
-    // Validation: durée maximale de 10 heures
-    const [hDebut, mDebut] = b.heureDebut.split(':').map(Number);
-    const [hFin, mFin] = b.heureFin.split(':').map(Number);
-    const minutesDebut = hDebut * 60 + mDebut;
-    const minutesFin = hFin * 60 + mFin;
-    
-    // Calculer la durée en tenant compte du passage éventuel de minuit
-    let dureeService = minutesFin - minutesDebut;
-    if (dureeService < 0) {
-      // Le service passe minuit (ex: 22:00 - 05:00)
-      dureeService = (1440 - minutesDebut) + minutesFin;
-    }
+    // Services du jour (hors annulés) et leurs prises de service
+    const services = await prisma.service.findMany({
+      where: { date: { gte: range.from, lt: new Date(range.from.getTime() + DAY_MS) }, statut: { not: 'Annulée' } },
+      include: { ligne: true, conducteur: true, pointages: { where: { type: 'Prise' }, include: { conducteur: true } } },
+    });
+    const pointages = services.flatMap(s => s.pointages.map(p => ({ ...p, service: s })));
 
-    if (dureeService > 600) { // 600 minutes = 10 heures
-      return res.status(400).json({ 
-        error: 'Service duration exceeds 10 hours (from depot departure to return to depot)' 
-      });
-    }
+    // Statistiques détaillées
+    const totalServices = services.length;
+    const totalPointages = pointages.length;
+    const validationRate = totalServices > 0 ? Math.round((totalPointages / totalServices) * 100) : 0;
 
-    if (dureeService <= 0) {
-      return res.status(400).json({ 
-        error: 'End time must be after start time' 
-      });
-    }
+    // Par conducteur : tous les conducteurs de service du jour, même sans aucun pointage
+    const conductorStats = {};
+    const conductorEntry = (id, conducteur) => {
+      conductorStats[id] ||= {
+        id,
+        nom: conducteur?.nom || 'Inconnu',
+        prenom: conducteur?.prenom || '',
+        services: 0,
+        pointages: 0,
+        permisChecked: 0,
+        chronometerChecked: 0,
+        avgValidationTime: 0,
+        ecartTotal: 0,
+        ecartCount: 0,
+      };
+      return conductorStats[id];
+    };
+    services.forEach((s) => {
+      if (s.conducteurId) conductorEntry(s.conducteurId, s.conducteur).services++;
+    });
+    pointages.forEach((p) => {
+      const entry = conductorEntry(p.conducteurId, p.conducteur);
+      entry.pointages++;
+      if (p.permisChecked) entry.permisChecked++;
+      if (p.chronometerChecked) entry.chronometerChecked++;
+      if (p.ecartMinutes != null) {
+        entry.ecartTotal += p.ecartMinutes;
+        entry.ecartCount++;
+      }
+    });
+    // avgValidationTime : écart moyen (min) entre l'heure de prise prévue et le pointage
+    const conductorList = Object.values(conductorStats).map(({ ecartTotal, ecartCount, ...c }) => ({
+      ...c,
+      avgValidationTime: ecartCount ? Math.round((ecartTotal / ecartCount) * 10) / 10 : 0,
+    }));
 
-    // Vérifier les limites horaires de la ligne
-    const ligne = await prisma.ligne.findUnique({ where: { id: b.ligneId } });
-    if (ligne && ligne.heureDebut && ligne.heureFin) {
-      const [hLigneDebut, mLigneDebut] = ligne.heureDebut.split(':').map(Number);
-      const [hLigneFin, mLigneFin] = ligne.heureFin.split(':').map(Number);
-      const minutesLigneDebut = hLigneDebut * 60 + mLigneDebut;
-      const minutesLigneFin = hLigneFin * 60 + mLigneFin;
+    // Distribuer par heure de départ
+    const hourlyDistribution = {};
+    services.forEach((s) => {
+      const hour = s.heureDebut?.split(':')[0] || '??';
+      if (!hourlyDistribution[hour]) hourlyDistribution[hour] = { total: 0, validated: 0 };
+      hourlyDistribution[hour].total++;
+      if (s.pointages.length) hourlyDistribution[hour].validated++;
+    });
 
-      const lignePasseMinuit = minutesLigneFin < minutesLigneDebut;
+    // Top/flop conducteurs (flop : services non pointés d'abord)
+    const byPointages = [...conductorList].sort((a, b) => b.pointages - a.pointages);
+    const topConductors = byPointages.slice(0, 5);
+    const flopConductors = [...conductorList]
+      .sort((a, b) => (b.services - b.pointages) - (a.services - a.pointages) || a.pointages - b.pointages)
+      .slice(0, 5);
 
-      if (lignePasseMinuit) {
-        // Ligne passe minuit (ex: 05h-02h ou 22h-06h)
-        // Service accepté s'il commence >= heureDebut OU commence <= heureFin
-        
-        if (minutesDebut >= minutesLigneDebut) {
-          // Service commence après heureDebut: OK
-          // Ex: Ligne 05h-02h, Service 05h-14h ou 22h-23h
-        } else if (minutesDebut <= minutesLigneFin) {
-          // Service commence avant heureFin (après minuit): OK
-          // Ex: Ligne 05h-02h, Service 01h-02h
-        } else {
-          // Service commence dans le trou entre heureFin et heureDebut: NON
-          // Ex: Ligne 05h-02h, Service 03h-04h
-          return res.status(400).json({ 
-            error: `Service must start between ${ligne.heureDebut} and ${ligne.heureFin} (next day)` 
-          });
-        }
+    // Véhicules/types
+    const vehicleTypes = {};
+    pointages.forEach((p) => {
+      if (p.vehicleType) {
+        vehicleTypes[p.vehicleType] = (vehicleTypes[p.vehicleType] || 0) + 1;
+      }
+    });
 
-        // Vérifier que service ne dépasse pas les limites excessivement
-        if (minutesFin > minutesLigneFin && minutesDebut >= minutesLigneDebut && minutesFin < minutesDebut) {
-          // Service passe minuit mais fin > heureFin: NON
-          return res.status(400).json({ 
-            error: `Service cannot end after ${ligne.heureFin}` 
-          });
-        }
-      } else {
-        // Horaires normaux: heureDebut < heureFin (même jour)
-        if (minutesDebut < minutesLigneDebut) {
-          return res.status(400).json({ 
-            error: `Service must start at or after ${ligne.heureDebut}` 
-          });
-        }
+    // Validateurs (Régulateur vs Chef d'Équipe)
+    const validatedByStats = {};
+    pointages.forEach((p) => {
+      const role = p.validatedBy || 'Inconnu';
+      validatedByStats[role] = (validatedByStats[role] || 0) + 1;
+    });
 
-        if (minutesFin > minutesLigneFin) {
-          return res.status(400).json({ 
-            error: `Service must end before or at ${ligne.heureFin}` 
-          });
-        }
+    // Lignes/routes
+    const lineStats = {};
+    pointages.forEach((p) => {
+      const lineNum = p.service?.ligne?.numero || '??';
+      if (!lineStats[lineNum]) {
+        lineStats[lineNum] = { numero: lineNum, pointages: 0 };
       }
+      lineStats[lineNum].pointages++;
+    });
+
+    res.json({
+      date: range.fromKey,
+      totalServices,
+      totalPointages,
+      validationRate,
+      conductorStats: conductorList,
+      topConductors,
+      flopConductors,
+      hourlyDistribution,
+      vehicleTypes,
+      validatedByStats,
+      lineStats: Object.values(lineStats).sort((a, b) => b.pointages - a.pointages),
+      avgPermisCheckRate: totalPointages > 0
+        ? Math.round((conductorList.reduce((sum, c) => sum + c.permisChecked, 0) / totalPointages) * 100)
+        : 0,
+      avgTachographCheckRate: totalPointages > 0
+        ? Math.round((conductorList.reduce((sum, c) => sum + c.chronometerChecked, 0) / totalPointages) * 100)
+        : 0,
+    });
+  } catch (e) {
+    console.error('GET /api/pointages/stats/daily ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DETAIL
+app.get('/api/pointages/:id', async (req, res) => {
+  try {
+    const pointage = await prisma.pointage.findUnique({
+      where: { id: req.params.id },
+      include: { service: { include: { ligne: true, conducteur: true } }, conducteur: true },
+    });
+    if (!pointage) return res.status(404).json({ error: 'Not found' });
+    res.json(pointage);
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// CREATE - Pointage de prise (type "Prise", défaut) ou de fin de service (type "Fin")
+// Prise : Planifiée / Non pris -> En cours, écart avec heureDebut ; Fin : En cours -> Terminée, relevés km / carburant
+app.post('/api/pointages', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    const type = b.type ? String(b.type) : 'Prise';
+    if (!POINTAGE_STATUTS[type]) return res.status(400).json({ error: 'type attendu : Prise ou Fin' });
+    if (!b.serviceId) return res.status(400).json({ error: 'Champs requis manquants', missing: ['serviceId'] });
+
+    const service = await prisma.service.findUnique({ where: { id: String(b.serviceId) }, include: { vehicle: true } });
+    if (!service) return res.status(404).json({ error: 'Service introuvable' });
+    const conducteurId = b.conducteurId ? String(b.conducteurId) : service.conducteurId;
+    if (!conducteurId) return res.status(400).json({ error: 'Champs requis manquants', missing: ['conducteurId'] });
+
+    const statut = POINTAGE_STATUTS[type];
+    if (service.statut === statut) return res.status(409).json({ error: `Service déjà ${statut.toLowerCase()}` });
+    if (!SERVICE_TRANSITIONS[service.statut]?.includes(statut)) {
+      return res.status(409).json({ error: `Pointage "${type}" impossible : service ${service.statut}` });
     }
 
-    // Anti-duplication : si un service identique existe déjà (même sens, date, début, fin), on le renvoie tel quel
-    const existing = await prisma.service.findFirst({
-      where: {
-        sensId: b.sensId,
-        date: b.date ? new Date(b.date) : undefined,
-        heureDebut: b.heureDebut,
-        heureFin: b.heureFin,
-      },
-      include: { conducteur: true, sens: true }
+    const validatedAt = pointageInstant(service, b.heure);
+    const planned = servicePlannedTimes(service);
+    const prevue = type === 'Prise' ? planned.debut : planned.fin;
+    const releves = type === 'Fin' ? pointageReleves(b) : {};
+    if (releves.kmReleve !== undefined && service.vehicle && releves.kmReleve < service.vehicle.km) {
+      return res.status(409).json({ error: `Relevé km (${releves.kmReleve}) inférieur au compteur du véhicule ${service.vehicle.parc} (${service.vehicle.km})` });
+    }
+
+    const payload = {
+      serviceId: service.id,
+      conducteurId,
+      type,
+      validatedBy: String(b.validatedBy || req.user.role), // "Régulateur" ou "Chef d'Équipe"
+      validatedAt,
+      heurePrevue: type === 'Prise' ? service.heureDebut : service.heureFin,
+      ecartMinutes: Math.round((validatedAt.getTime() - prevue.getTime()) / 60000),
+      // Type de véhicule repris du véhicule affecté au service s'il n'est pas saisi
+      vehicleType: b.vehicleType || service.vehicle?.type || null,
+      permisChecked: Boolean(b.permisChecked || false),
+      chronometerChecked: Boolean(b.chronometerChecked || false),
+      commentaire: b.commentaire ? String(b.commentaire) : null,
+      ...releves,
+    };
+    if (releves.kmReleve !== undefined && service.vehicle) {
+      payload.kmVehiculeParc = service.vehicle.parc;
+      payload.kmAvant = service.vehicle.km;
+    }
+
+    const pointage = await prisma.$transaction(async (tx) => {
+      // Le statut ne change que s'il est toujours celui lu : deux pointages simultanés ne passent pas tous les deux
+      const { count } = await tx.service.updateMany({ where: { id: service.id, statut: service.statut }, data: { statut } });
+      if (!count) throw Object.assign(new Error('Service pointé entre-temps, recharger le service'), { status: 409 });
+      // Le relevé de fin de service fait avancer le compteur du véhicule
+      if (releves.kmReleve !== undefined && service.vehicle) {
+        await tx.vehicle.update({ where: { parc: service.vehicle.parc }, data: { km: releves.kmReleve } });
+      }
+      return tx.pointage.create({ data: payload, include: POINTAGE_INCLUDE });
     });
 
-    if (existing) {
-      return res.json({ ...existing, duplicate: true });
+    res.status(201).json(pointage);
+  } catch (e) {
+    console.error('POST /api/pointages ERROR ->', e);
+    res.status(e?.status || 400).json({ error: e?.message || String(e) });
+  }
+});
+
+// UPDATE (contrôles, commentaire, relevés de fin de service)
+app.put('/api/pointages/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    const current = await prisma.pointage.findUnique({ where: { id: req.params.id } });
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    const data = {
+      vehicleType: b.vehicleType ?? undefined,
+      permisChecked: b.permisChecked !== undefined ? Boolean(b.permisChecked) : undefined,
+      chronometerChecked: b.chronometerChecked !== undefined ? Boolean(b.chronometerChecked) : undefined,
+      commentaire: b.commentaire ?? undefined,
+      ...(current.type === 'Fin' ? pointageReleves(b) : {}),
+    };
+
+    // Relevé km corrigé : le compteur du véhicule suit, s'il n'a pas avancé depuis
+    let vehicleKm = null;
+    if (data.kmReleve !== undefined && data.kmReleve !== current.kmReleve && current.kmVehiculeParc) {
+      const vehicle = await prisma.vehicle.findUnique({ where: { parc: current.kmVehiculeParc }, select: { parc: true, km: true } });
+      if (vehicle && vehicle.km !== current.kmReleve) {
+        return res.status(409).json({ error: `Le compteur du véhicule ${vehicle.parc} (${vehicle.km} km) a changé depuis ce relevé : correction impossible` });
+      }
+      if (data.kmReleve < current.kmAvant) {
+        return res.status(409).json({ error: `Relevé km (${data.kmReleve}) inférieur au compteur avant le service (${current.kmAvant})` });
+      }
+      if (vehicle) vehicleKm = prisma.vehicle.update({ where: { parc: vehicle.parc }, data: { km: data.kmReleve } });
     }
 
-    const service = await prisma.service.create({
-      data: {
-        sensId: b.sensId,
-        ligneId: b.ligneId, // Reference to ligne
-        heureDebut: b.heureDebut,
-        heureFin: b.heureFin,
-        statut: b.statut || 'Planifiée',
-        date: b.date ? new Date(b.date) : new Date(),
+    const [pointage] = await prisma.$transaction([
+      prisma.pointage.update({
+        where: { id: req.params.id },
+        data,
+        include: POINTAGE_INCLUDE,
+      }),
+      ...(vehicleKm ? [vehicleKm] : []),
+    ]);
+    res.json(pointage);
+  } catch (e) {
+    console.error('PUT /api/pointages/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DELETE - annule le pointage et ramène le service à l'étape précédente (fin -> En cours, prise -> Planifiée)
+app.delete('/api/pointages/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const pointage = await prisma.pointage.findUnique({ where: { id: req.params.id }, include: { service: true } });
+    if (!pointage) return res.status(404).json({ error: 'Not found' });
+    // Un service "Terminée" sans pointage de fin (ancien pointage unique) repasse directement en "Planifiée"
+    if (pointage.type === 'Prise') {
+      const fin = await prisma.pointage.findFirst({ where: { serviceId: pointage.serviceId, type: 'Fin' }, select: { id: true } });
+      if (fin) return res.status(409).json({ error: 'Supprimer d\'abord le pointage de fin de service', pointageFinId: fin.id });
+    }
+
+    // Relevé km de fin de service : compteur rétabli, sauf s'il a encore avancé depuis
+    let vehicle = null;
+    if (pointage.type === 'Fin' && pointage.kmVehiculeParc && pointage.kmAvant !== null) {
+      vehicle = await prisma.vehicle.findUnique({ where: { parc: pointage.kmVehiculeParc }, select: { parc: true, km: true } });
+      if (vehicle && vehicle.km !== pointage.kmReleve) {
+        return res.status(409).json({
+          error: `Le compteur du véhicule ${vehicle.parc} (${vehicle.km} km) a changé depuis ce relevé (${pointage.kmReleve} km) : suppression impossible`,
+        });
+      }
+    }
+
+    const statut = pointage.type === 'Fin' ? 'En cours' : 'Planifiée';
+    await prisma.$transaction([
+      prisma.pointage.delete({ where: { id: pointage.id } }),
+      prisma.service.update({ where: { id: pointage.serviceId }, data: { statut } }),
+      ...(vehicle ? [prisma.vehicle.update({ where: { parc: vehicle.parc }, data: { km: pointage.kmAvant } })] : []),
+    ]);
+    res.json({ ok: true, serviceStatut: statut, ...(vehicle ? { kmRetabli: pointage.kmAvant } : {}) });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ========== STATISTIQUES ==========
+
+const STATS_GROUP_BY = ['day', 'week', 'month', 'ligne', 'conducteur'];
+const STATS_MAX_DAYS = 366;
+
+// Taux en % (une décimale), moyenne arrondie au dixième ; null si rien à mesurer
+const statsRate = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : null);
+const statsMean = (total, n) => (n ? Math.round((total / n) * 10) / 10 : null);
+
+// Clé de regroupement d'un service : les jours de service sont des jours calendaires de Paris
+function statsBucketKey(service, groupBy) {
+  if (groupBy === 'week') return toDayKey(weekStartOf(service.date));
+  if (groupBy === 'month') return toDayKey(service.date).slice(0, 7);
+  if (groupBy === 'ligne') return service.ligneId;
+  if (groupBy === 'conducteur') return service.conducteurId || null;
+  return toDayKey(service.date);
+}
+
+// Toutes les périodes de fromKey à toKey, vides comprises (séries continues)
+function statsTimeBuckets(fromKey, toKey, groupBy) {
+  if (groupBy === 'month') return monthsBetween(fromKey.slice(0, 7), toKey.slice(0, 7));
+  const step = groupBy === 'week' ? 7 : 1;
+  const keys = [];
+  const end = new Date(`${toKey}T00:00:00.000Z`).getTime();
+  let cursor = (groupBy === 'week' ? weekStartOf(fromKey) : new Date(`${fromKey}T00:00:00.000Z`)).getTime();
+  for (; cursor <= end; cursor += step * DAY_MS) keys.push(toDayKey(new Date(cursor)));
+  return keys;
+}
+
+// Compteurs de pointage d'un ensemble de services ; les services pas encore commencés ne comptent pas comme non validés
+function pointageStatsAccumulator() {
+  return { services: 0, aVenir: 0, prises: 0, terminees: 0, nonPris: 0, nonValides: 0, enRetard: 0, ecartTotal: 0, ecartCount: 0, retardTotal: 0, permisChecked: 0 };
+}
+
+function accumulatePointageStats(acc, service, now) {
+  const prise = service.pointages.find(p => p.type === 'Prise');
+  acc.services++;
+  if (service.pointages.some(p => p.type === 'Fin')) acc.terminees++;
+  if (service.statut === 'Non pris') acc.nonPris++;
+  if (!prise) {
+    if (servicePlannedTimes(service).debut > now) acc.aVenir++;
+    else acc.nonValides++;
+    return;
+  }
+  acc.prises++;
+  if (prise.permisChecked) acc.permisChecked++;
+  if (prise.ecartMinutes != null) {
+    acc.ecartTotal += prise.ecartMinutes;
+    acc.ecartCount++;
+    if (prise.ecartMinutes > 0) {
+      acc.enRetard++;
+      acc.retardTotal += prise.ecartMinutes;
+    }
+  }
+}
+
+function pointageStatsResult(acc) {
+  const echus = acc.services - acc.aVenir;
+  return {
+    services: acc.services,
+    aVenir: acc.aVenir,
+    prises: acc.prises,
+    terminees: acc.terminees,
+    nonValides: acc.nonValides,
+    nonPris: acc.nonPris,
+    enRetard: acc.enRetard,
+    tauxValidation: statsRate(acc.prises, echus),
+    tauxRetard: statsRate(acc.enRetard, acc.ecartCount),
+    ecartMoyenMinutes: statsMean(acc.ecartTotal, acc.ecartCount),
+    retardMoyenMinutes: statsMean(acc.retardTotal, acc.enRetard),
+    tauxControlePermis: statsRate(acc.permisChecked, acc.prises),
+  };
+}
+
+// Évolution période courante / période précédente, indicateur par indicateur
+function statsEvolution(current, previous) {
+  const evolution = {};
+  for (const [key, valeur] of Object.entries(current)) {
+    const precedent = previous[key];
+    const delta = valeur != null && precedent != null ? Math.round((valeur - precedent) * 10) / 10 : null;
+    evolution[key] = { valeur, precedent, delta, deltaPct: delta != null && precedent ? statsRate(delta, Math.abs(precedent)) : null };
+  }
+  return evolution;
+}
+
+// STATS POINTAGES ?from=&to=&groupBy=day|week|month|ligne|conducteur (jours de service inclus, Europe/Paris)
+// -> totaux, série par période / ligne / conducteur, comparaison à la période précédente de même durée,
+//    et services jamais validés par conducteur
+app.get('/api/stats/pointages', async (req, res) => {
+  try {
+    const groupBy = String(req.query.groupBy || 'day');
+    if (!STATS_GROUP_BY.includes(groupBy)) return res.status(400).json({ error: 'groupBy invalide', groupBy: STATS_GROUP_BY });
+    const today = getTodayDateParis();
+    const range = parseDayRange({
+      from: req.query.from || toDayKey(new Date(new Date(`${today}T00:00:00.000Z`).getTime() - 6 * DAY_MS)),
+      to: req.query.to || today,
+    });
+    if (!range) return res.status(400).json({ error: 'Paramètres from/to invalides (YYYY-MM-DD, from <= to)' });
+    const days = Math.round((range.to - range.from) / DAY_MS) + 1;
+    if (days > STATS_MAX_DAYS) return res.status(400).json({ error: `Période limitée à ${STATS_MAX_DAYS} jours` });
+
+    const previousFrom = new Date(range.from.getTime() - days * DAY_MS);
+    const previousTo = new Date(range.from.getTime() - DAY_MS);
+    const planned = await prisma.service.findMany({
+      where: { date: { gte: previousFrom, lte: range.to }, statut: { not: 'Annulée' } },
+      include: {
+        ligne: { select: { id: true, numero: true, nom: true } },
+        conducteur: { select: { id: true, nom: true, prenom: true, matricule: true } },
+        pointages: { select: { type: true, ecartMinutes: true, permisChecked: true, validatedAt: true } },
       },
-      include: { conducteur: true, sens: true }
+      orderBy: [{ date: 'asc' }, { heureDebut: 'asc' }],
     });
+    // Jours supprimés par les calendriers d'exception : ni attendus ni "non pris"
+    const services = await filterServicesPerCalendar(prisma, planned);
 
-    res.json(service);
+    const now = new Date();
+    const current = pointageStatsAccumulator();
+    const previous = pointageStatsAccumulator();
+    const buckets = new Map();
+    const conducteurs = new Map();
+    const timeSeries = ['day', 'week', 'month'].includes(groupBy);
+    if (timeSeries) {
+      for (const key of statsTimeBuckets(range.fromKey, range.toKey, groupBy)) buckets.set(key, { key, acc: pointageStatsAccumulator() });
+    }
+
+    for (const s of services) {
+      if (s.date < range.from) {
+        accumulatePointageStats(previous, s, now);
+        continue;
+      }
+      accumulatePointageStats(current, s, now);
+
+      const key = statsBucketKey(s, groupBy);
+      if (!buckets.has(key)) {
+        const label = groupBy === 'ligne' ? { ligne: s.ligne }
+          : groupBy === 'conducteur' ? { conducteur: s.conducteur } : {};
+        buckets.set(key, { key, ...label, acc: pointageStatsAccumulator() });
+      }
+      accumulatePointageStats(buckets.get(key).acc, s, now);
+
+      if (!s.conducteurId) continue;
+      if (!conducteurs.has(s.conducteurId)) {
+        conducteurs.set(s.conducteurId, { conducteur: s.conducteur, acc: pointageStatsAccumulator(), servicesNonValides: [] });
+      }
+      const entry = conducteurs.get(s.conducteurId);
+      accumulatePointageStats(entry.acc, s, now);
+      if (!s.pointages.some(p => p.type === 'Prise') && servicePlannedTimes(s).debut <= now) {
+        entry.servicesNonValides.push({
+          id: s.id,
+          date: toDayKey(s.date),
+          heureDebut: s.heureDebut,
+          heureFin: s.heureFin,
+          ligne: s.ligne.numero,
+          statut: s.statut,
+        });
+      }
+    }
+
+    const totaux = pointageStatsResult(current);
+    const precedents = pointageStatsResult(previous);
+    const serie = [...buckets.values()].map(({ acc, ...b }) => ({ ...b, ...pointageStatsResult(acc) }));
+    if (!timeSeries) serie.sort((a, b) => b.services - a.services);
+
+    res.json({
+      from: range.fromKey,
+      to: range.toKey,
+      groupBy,
+      totaux,
+      serie,
+      comparaison: {
+        from: toDayKey(previousFrom),
+        to: toDayKey(previousTo),
+        totaux: precedents,
+        evolution: statsEvolution(totaux, precedents),
+      },
+      conducteurs: [...conducteurs.values()]
+        .map(({ acc, ...c }) => ({ ...c, ...pointageStatsResult(acc) }))
+        .sort((a, b) => b.nonValides - a.nonValides || (a.tauxValidation ?? 100) - (b.tauxValidation ?? 100)),
+    });
   } catch (e) {
-    console.error('POST /api/services-hierarchie ERROR ->', e);
+    console.error('GET /api/stats/pointages ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// UPDATE SERVICE (for LignesHierarchie)
-app.put('/api/services-hierarchie/:id', async (req, res) => {
+// Prise de service "à l'heure" : écart avec heureDebut <= tolérance (min)
+const KPI_TOLERANCE_RETARD_MINUTES = Number(process.env.KPI_TOLERANCE_RETARD_MINUTES) || 2;
+const KPI_SANS_DEPOT = 'Sans dépôt';
+
+function serviceKpiAccumulator() {
+  return { planifies: 0, annules: 0, nonAffectes: 0, sansVehicule: 0, ponctuels: 0, retardTotal: 0, pointages: pointageStatsAccumulator() };
+}
+
+function accumulateServiceKpi(acc, service, now) {
+  acc.planifies++;
+  if (service.statut === 'Annulée') {
+    acc.annules++;
+    return;
+  }
+  if (!service.conducteurId) acc.nonAffectes++;
+  if (!service.vehicleParc) acc.sansVehicule++;
+  accumulatePointageStats(acc.pointages, service, now);
+  const prise = service.pointages.find(p => p.type === 'Prise');
+  if (prise?.ecartMinutes == null) return;
+  if (prise.ecartMinutes <= KPI_TOLERANCE_RETARD_MINUTES) acc.ponctuels++;
+  else acc.retardTotal += prise.ecartMinutes;
+}
+
+// Services : parts réalisées (prise pointée) sur les services échus, annulées sur les planifiés,
+// non affectées sur les services maintenus ; ponctualité : prises à l'heure sur les prises mesurées
+function serviceKpiResult(acc) {
+  const p = acc.pointages;
+  const maintenus = acc.planifies - acc.annules;
+  return {
+    services: {
+      planifies: acc.planifies,
+      realises: p.prises,
+      terminees: p.terminees,
+      annules: acc.annules,
+      nonAffectes: acc.nonAffectes,
+      sansVehicule: acc.sansVehicule,
+      nonPris: p.nonPris,
+      aVenir: p.aVenir,
+      tauxRealisation: statsRate(p.prises, maintenus - p.aVenir),
+      tauxAnnulation: statsRate(acc.annules, acc.planifies),
+      tauxNonAffectes: statsRate(acc.nonAffectes, maintenus),
+    },
+    ponctualite: {
+      prisesMesurees: p.ecartCount,
+      aLHeure: acc.ponctuels,
+      enRetard: p.ecartCount - acc.ponctuels,
+      tauxPonctualite: statsRate(acc.ponctuels, p.ecartCount),
+      ecartMoyenMinutes: statsMean(p.ecartTotal, p.ecartCount),
+      retardMoyenMinutes: statsMean(acc.retardTotal, p.ecartCount - acc.ponctuels),
+    },
+  };
+}
+
+// Flotte : disponibilité sur la période (historique des statuts), statuts actuels et moyennes d'état
+function fleetKpiAccumulator() {
+  return { vehicules: 0, statuts: {}, hours: {}, etatTechnique: 0, proprete: 0, etatInterieur: 0 };
+}
+
+function accumulateFleetKpi(acc, vehicle, hours) {
+  acc.vehicules++;
+  acc.statuts[vehicle.statut] = (acc.statuts[vehicle.statut] || 0) + 1;
+  for (const [st, h] of Object.entries(hours)) acc.hours[st] = (acc.hours[st] || 0) + h;
+  acc.etatTechnique += vehicle.etatTechnique;
+  acc.proprete += vehicle.proprete;
+  acc.etatInterieur += vehicle.etatInterieur;
+}
+
+function fleetKpiResult(acc) {
+  const disponibles = VEHICLE_STATUTS_DISPONIBLES.reduce((sum, st) => sum + (acc.statuts[st] || 0), 0);
+  for (const k of Object.keys(acc.hours)) acc.hours[k] = Math.round(acc.hours[k] * 100) / 100;
+  return {
+    vehicules: acc.vehicules,
+    disponibles,
+    statuts: acc.statuts,
+    tauxDisponibiliteActuel: statsRate(disponibles, acc.vehicules),
+    heuresParStatut: acc.hours,
+    tauxDisponibilitePeriode: availabilityRate(acc.hours),
+    moyennes: {
+      etatTechnique: statsMean(acc.etatTechnique, acc.vehicules),
+      proprete: statsMean(acc.proprete, acc.vehicules),
+      etatInterieur: statsMean(acc.etatInterieur, acc.vehicules),
+    },
+  };
+}
+
+// KPI EXPLOITATION ?from=&to=&ligneId=&depot= (jours de service inclus, Europe/Paris)
+// Dépôt d'un service = dépôt du véhicule affecté ; avec ligneId, la flotte se limite aux véhicules affectés à la ligne
+app.get('/api/kpi', async (req, res) => {
   try {
-    const b = req.body;
-    const data = {
-      heureDebut: b.heureDebut ?? undefined,
-      heureFin: b.heureFin ?? undefined,
-      conducteurId: b.conducteurId ?? undefined,
-      statut: b.statut ?? undefined,
+    const today = getTodayDateParis();
+    const range = parseDayRange({
+      from: req.query.from || toDayKey(new Date(new Date(`${today}T00:00:00.000Z`).getTime() - 6 * DAY_MS)),
+      to: req.query.to || today,
+    });
+    if (!range) return res.status(400).json({ error: 'Paramètres from/to invalides (YYYY-MM-DD, from <= to)' });
+    if ((range.to - range.from) / DAY_MS + 1 > STATS_MAX_DAYS) {
+      return res.status(400).json({ error: `Période limitée à ${STATS_MAX_DAYS} jours` });
+    }
+    const depot = req.query.depot ? String(req.query.depot) : null;
+
+    const serviceWhere = { date: { gte: range.from, lte: range.to } };
+    if (req.query.ligneId) serviceWhere.ligneId = String(req.query.ligneId);
+    if (depot) serviceWhere.vehicle = { depot };
+    // Flotte : véhicules du dépôt ; avec ligneId, seulement ceux affectés à un service de la ligne sur la période
+    const vehicleWhere = depot ? { depot } : {};
+    if (req.query.ligneId) vehicleWhere.services = { some: { ligneId: String(req.query.ligneId), date: serviceWhere.date } };
+
+    // Période en heure de Paris : du premier jour 00:00 au lendemain du dernier jour 00:00
+    const [fy, fm, fd] = range.fromKey.split('-').map(Number);
+    const end = new Date(range.to.getTime() + DAY_MS);
+    const periodStart = parisMidnight(fy, fm, fd);
+    const periodEnd = parisMidnight(end.getUTCFullYear(), end.getUTCMonth() + 1, end.getUTCDate());
+
+    const [planned, vehicles] = await Promise.all([
+      prisma.service.findMany({
+        where: serviceWhere,
+        include: {
+          ligne: { select: { id: true, numero: true, nom: true } },
+          vehicle: { select: { depot: true } },
+          pointages: { select: { type: true, ecartMinutes: true, permisChecked: true } },
+        },
+      }),
+      findVehiclesWithStatusHistory(prisma, { where: vehicleWhere }, periodEnd),
+    ]);
+    const services = await filterServicesPerCalendar(prisma, planned);
+
+    const now = new Date();
+    const global = serviceKpiAccumulator();
+    const lignes = new Map();
+    const depots = new Map();
+    const depotEntry = (name) => {
+      if (!depots.has(name)) depots.set(name, { depot: name, acc: serviceKpiAccumulator(), flotte: fleetKpiAccumulator() });
+      return depots.get(name);
     };
 
-    const service = await prisma.service.update({ 
-      where: { id: req.params.id }, 
-      data,
-      include: { conducteur: true }
+    for (const s of services) {
+      accumulateServiceKpi(global, s, now);
+      if (!lignes.has(s.ligneId)) lignes.set(s.ligneId, { ligne: s.ligne, acc: serviceKpiAccumulator() });
+      accumulateServiceKpi(lignes.get(s.ligneId).acc, s, now);
+      accumulateServiceKpi(depotEntry(s.vehicle?.depot || KPI_SANS_DEPOT).acc, s, now);
+    }
+
+    const flotte = fleetKpiAccumulator();
+    for (const v of vehicles) {
+      const hours = hoursByStatus(vehicleStatusSegments(v, v.statesHistory, now), periodStart, periodEnd);
+      accumulateFleetKpi(flotte, v, hours);
+      accumulateFleetKpi(depotEntry(v.depot || KPI_SANS_DEPOT).flotte, v, hours);
+    }
+
+    res.json({
+      from: range.fromKey,
+      to: range.toKey,
+      toleranceRetardMinutes: KPI_TOLERANCE_RETARD_MINUTES,
+      statutsDisponibles: VEHICLE_STATUTS_DISPONIBLES,
+      global: { ...serviceKpiResult(global), flotte: fleetKpiResult(flotte) },
+      lignes: [...lignes.values()]
+        .map(({ ligne, acc }) => ({ ligne, ...serviceKpiResult(acc) }))
+        .sort((a, b) => a.ligne.numero.localeCompare(b.ligne.numero, 'fr', { numeric: true })),
+      depots: [...depots.values()]
+        .map(({ depot: name, acc, flotte: f }) => ({ depot: name, ...serviceKpiResult(acc), flotte: fleetKpiResult(f) }))
+        .sort((a, b) => a.depot.localeCompare(b.depot, 'fr')),
     });
-    res.json(service);
   } catch (e) {
-    console.error('PUT /api/services-hierarchie/:id ERROR ->', e);
+    console.error('GET /api/kpi ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// DELETE SERVICE (for LignesHierarchie)
-app.delete('/api/services-hierarchie/:id', async (req, res) => {
+// ===================== SAEIV ENDPOINTS =====================
+
+// GET ALL SAEIV
+app.get('/api/saeivs', async (_req, res) => {
   try {
-    await prisma.service.delete({ where: { id: req.params.id } });
-    res.json({ ok: true });
+    const saeivs = await prisma.sAEIV.findMany({ orderBy: { numero: 'asc' } });
+    res.json(saeivs);
+  } catch (e) {
+    console.error('GET /api/saeivs ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// GET SINGLE SAEIV
+app.get('/api/saeivs/:id', async (req, res) => {
+  try {
+    const saeiv = await prisma.sAEIV.findUnique({ where: { id: req.params.id } });
+    if (!saeiv) return res.status(404).json({ error: 'Not found' });
+    res.json(saeiv);
   } catch (e) {
     res.status(400).json({ error: String(e) });
   }
-});
+});
+
+// CREATE SAEIV
+app.post('/api/saeivs', requireRole(ROLES.ATELIER), async (req, res) => {
+  try {
+    const b = req.body;
+    const missing = [];
+    if (!b.numero) missing.push('numero');
+    if (!b.libelle) missing.push('libelle');
+    if (!b.type) missing.push('type');
+
+    if (missing.length > 0) {
+      return res.status(400).json({ error: `Missing fields: ${missing.join(', ')}` });
+    }
+
+    const saeiv = await prisma.sAEIV.create({
+      data: {
+        numero: b.numero,
+        libelle: b.libelle,
+        type: b.type,
+        statut: b.statut || 'Actif',
+      },
+    });
+
+    res.json(saeiv);
+  } catch (e) {
+    console.error('POST /api/saeivs ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// UPDATE SAEIV
+app.put('/api/saeivs/:id', requireRole(ROLES.ATELIER), async (req, res) => {
+  try {
+    const b = req.body;
+    const data = {
+      numero: b.numero ?? undefined,
+      libelle: b.libelle ?? undefined,
+      type: b.type ?? undefined,
+      statut: b.statut ?? undefined,
+    };
+
+    const saeiv = await prisma.sAEIV.update({ where: { id: req.params.id }, data });
+    res.json(saeiv);
+  } catch (e) {
+    console.error('PUT /api/saeivs/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DELETE SAEIV
+app.delete('/api/saeivs/:id', requireRole(ROLES.ATELIER), async (req, res) => {
+  try {
+    await prisma.sAEIV.delete({ where: { id: req.params.id } });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ===================== SENS ENDPOINTS =====================
+
+// GET SENS BY LIGNE
+app.get('/api/sens/ligne/:ligneId', async (req, res) => {
+  try {
+    const sens = await prisma.sens.findMany({ 
+      where: { ligneId: req.params.ligneId },
+      orderBy: { ordre: 'asc' }
+    });
+    res.json(sens);
+  } catch (e) {
+    console.error('GET /api/sens/ligne/:ligneId ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// GET SINGLE SENS
+app.get('/api/sens/:id', async (req, res) => {
+  try {
+    const sens = await prisma.sens.findUnique({ 
+      where: { id: req.params.id },
+      include: { services: true }
+    });
+    if (!sens) return res.status(404).json({ error: 'Not found' });
+    res.json(sens);
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// CREATE SENS
+app.post('/api/sens', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    if (!b.ligneId || !b.nom) {
+      return res.status(400).json({ error: 'Missing fields: ligneId, nom' });
+    }
+
+    const sens = await prisma.sens.create({
+      data: {
+        ligneId: b.ligneId,
+        nom: b.nom,
+        direction: b.direction || null,
+        ordre: b.ordre || 1,
+        statut: b.statut || 'Actif',
+      },
+    });
+
+    res.json(sens);
+  } catch (e) {
+    console.error('POST /api/sens ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// UPDATE SENS
+app.put('/api/sens/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    const data = {
+      nom: b.nom ?? undefined,
+      direction: b.direction ?? undefined,
+      ordre: b.ordre ?? undefined,
+      statut: b.statut ?? undefined,
+    };
+
+    const sens = await prisma.sens.update({ where: { id: req.params.id }, data });
+    res.json(sens);
+  } catch (e) {
+    console.error('PUT /api/sens/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DELETE SENS
+app.delete('/api/sens/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    await prisma.sens.delete({ where: { id: req.params.id } });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ===================== SERVICES ENDPOINTS (pour LignesHierarchie) =====================
+
+// GET SERVICES BY SENS
+app.get('/api/services-hierarchie/sens/:sensId', async (req, res) => {
+  try {
+    const services = await prisma.service.findMany({ 
+      where: { sensId: req.params.sensId },
+      include: { conducteur: true }
+    });
+    res.json(services);
+  } catch (e) {
+    console.error('GET /api/services-hierarchie/sens/:sensId ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// CREATE SERVICE (for LignesHierarchie)
+app.post('/api/services-hierarchie', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    if (!b.sensId || !b.heureDebut || !b.heureFin) {
+      return res.status(400).json({ error: 'Missing fields: sensId, heureDebut, heureFin' });
+    }
+
+    // Validation: durée maximale de 10 heures
+    const [hDebut, mDebut] = b.heureDebut.split(':').map(Number);
+    const [hFin, mFin] = b.heureFin.split(':').map(Number);
+    const minutesDebut = hDebut * 60 + mDebut;
+    const minutesFin = hFin * 60 + mFin;
+    
+    // Calculer la durée en tenant compte du passage éventuel de minuit
+    let dureeService = minutesFin - minutesDebut;
+    if (dureeService < 0) {
+      // Le service passe minuit (ex: 22:00 - 05:00)
+      dureeService = (1440 - minutesDebut) + minutesFin;
+    }
+
+    if (dureeService > 600) { // 600 minutes = 10 heures
+      return res.status(400).json({ 
+        error: 'Service duration exceeds 10 hours (from depot departure to return to depot)' 
+      });
+    }
+
+    if (dureeService <= 0) {
+      return res.status(400).json({ 
+        error: 'End time must be after start time' 
+      });
+    }
+
+    // Vérifier les limites horaires de la ligne
+    const ligne = await prisma.ligne.findUnique({ where: { id: b.ligneId } });
+    if (ligne && ligne.heureDebut && ligne.heureFin) {
+      const [hLigneDebut, mLigneDebut] = ligne.heureDebut.split(':').map(Number);
+      const [hLigneFin, mLigneFin] = ligne.heureFin.split(':').map(Number);
+      const minutesLigneDebut = hLigneDebut * 60 + mLigneDebut;
+      const minutesLigneFin = hLigneFin * 60 + mLigneFin;
+
+      const lignePasseMinuit = minutesLigneFin < minutesLigneDebut;
+
+      if (lignePasseMinuit) {
+        // Ligne passe minuit (ex: 05h-02h ou 22h-06h)
+        // Service accepté s'il commence >= heureDebut OU commence <= heureFin
+        
+        if (minutesDebut >= minutesLigneDebut) {
+          // Service commence après heureDebut: OK
+          // Ex: Ligne 05h-02h, Service 05h-14h ou 22h-23h
+        } else if (minutesDebut <= minutesLigneFin) {
+          // Service commence avant heureFin (après minuit): OK
+          // Ex: Ligne 05h-02h, Service 01h-02h
+        } else {
+          // Service commence dans le trou entre heureFin et heureDebut: NON
+          // Ex: Ligne 05h-02h, Service 03h-04h
+          return res.status(400).json({ 
+            error: `Service must start between ${ligne.heureDebut} and ${ligne.heureFin} (next day)` 
+          });
+        }
+
+        // Vérifier que service ne dépasse pas les limites excessivement
+        if (minutesFin > minutesLigneFin && minutesDebut >= minutesLigneDebut && minutesFin < minutesDebut) {
+          // Service passe minuit mais fin > heureFin: NON
+          return res.status(400).json({ 
+            error: `Service cannot end after ${ligne.heureFin}` 
+          });
+        }
+      } else {
+        // Horaires normaux: heureDebut < heureFin (même jour)
+        if (minutesDebut < minutesLigneDebut) {
+          return res.status(400).json({ 
+            error: `Service must start at or after ${ligne.heureDebut}` 
+          });
+        }
+
+        if (minutesFin > minutesLigneFin) {
+          return res.status(400).json({ 
+            error: `Service must end before or at ${ligne.heureFin}` 
+          });
+        }
+      }
+    }
+
+    // Anti-duplication : si un service identique existe déjà (même sens, date, début, fin), on le renvoie tel quel
+    const existing = await prisma.service.findFirst({
+      where: {
+        sensId: b.sensId,
+        date: b.date ? new Date(b.date) : undefined,
+        heureDebut: b.heureDebut,
+        heureFin: b.heureFin,
+      },
+      include: { conducteur: true, sens: true }
+    });
+
+    if (existing) {
+      return res.json({ ...existing, duplicate: true });
+    }
+
+    const service = await prisma.service.create({
+      data: {
+        sensId: b.sensId,
+        ligneId: b.ligneId, // Reference to ligne
+        heureDebut: b.heureDebut,
+        heureFin: b.heureFin,
+        statut: b.statut || 'Planifiée',
+        date: b.date ? new Date(b.date) : new Date(),
+      },
+      include: { conducteur: true, sens: true }
+    });
+
+    res.json(service);
+  } catch (e) {
+    console.error('POST /api/services-hierarchie ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// UPDATE SERVICE (for LignesHierarchie)
+app.put('/api/services-hierarchie/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    const data = {
+      heureDebut: b.heureDebut ?? undefined,
+      heureFin: b.heureFin ?? undefined,
+      conducteurId: b.conducteurId ?? undefined,
+      statut: b.statut ?? undefined,
+    };
+
+    const current = await prisma.service.findUnique({ where: { id: req.params.id }, include: { ligne: true } });
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    const statutError = serviceStatutChangeError(current, data.statut);
+    if (statutError) return res.status(409).json({ error: statutError });
+
+    const forcing = parseForceRequest(b);
+    if (forcing.error) return res.status(400).json(forcing);
+    let guard = { overridden: null, warnings: [] };
+    const merged = { ...current, ...Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined)) };
+    const timesChanged = merged.heureDebut !== current.heureDebut || merged.heureFin !== current.heureFin;
+    if (merged.conducteurId && (merged.conducteurId !== current.conducteurId || timesChanged)) {
+      guard = await evaluateConducteurAssignment(prisma, merged, { force: forcing.force });
+      if (guard.blocked) return res.status(409).json(guard.body);
+    }
+
+    const service = await prisma.$transaction(async (tx) => {
+      const updated = await tx.service.update({ 
+        where: { id: req.params.id }, 
+        data,
+        include: { conducteur: true }
+      });
+      if (guard.overridden) {
+        await recordAssignmentOverride(tx, {
+          serviceId: updated.id,
+          conducteurId: updated.conducteurId,
+          reasons: guard.overridden,
+          motif: forcing.motif,
+          author: authorOf(req),
+        });
+      }
+      return updated;
+    });
+    res.json(guard.warnings.length ? { ...service, warnings: guard.warnings } : service);
+  } catch (e) {
+    console.error('PUT /api/services-hierarchie/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DELETE SERVICE (for LignesHierarchie)
+app.delete('/api/services-hierarchie/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    await prisma.service.delete({ where: { id: req.params.id } });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ========== TRAJETS (Itinéraires) ==========
+
+// GET trajets par ligne
+app.get('/api/trajets/ligne/:ligneId', async (req, res) => {
+  try {
+    const trajets = await prisma.trajet.findMany({
+      where: { ligneId: req.params.ligneId },
+      include: { arrets: { orderBy: { ordre: 'asc' }, include: { stop: true } } },
+      orderBy: { ordre: 'asc' }
+    });
+    res.json(trajets);
+  } catch (e) {
+    console.error('GET /api/trajets/ligne/:ligneId ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// POST créer trajet
+app.post('/api/trajets', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    if (!b.ligneId || !b.nom) {
+      return res.status(400).json({ error: 'Missing fields: ligneId, nom' });
+    }
+
+    const trajet = await prisma.trajet.create({
+      data: {
+        ligneId: b.ligneId,
+        sensId: b.sensId || null,
+        nom: b.nom,
+        description: b.description || null,
+        ordre: b.ordre || 1,
+        statut: b.statut || 'Actif'
+      },
+      include: { arrets: true }
+    });
+
+    res.json(trajet);
+  } catch (e) {
+    console.error('POST /api/trajets ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// PUT modifier trajet
+app.put('/api/trajets/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    const data = {
+      nom: b.nom ?? undefined,
+      description: b.description ?? undefined,
+      sensId: b.sensId ?? undefined,
+      ordre: b.ordre ?? undefined,
+      statut: b.statut ?? undefined
+    };
+
+    const trajet = await prisma.trajet.update({
+      where: { id: req.params.id },
+      data,
+      include: { arrets: { orderBy: { ordre: 'asc' } } }
+    });
+
+    res.json(trajet);
+  } catch (e) {
+    console.error('PUT /api/trajets/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DELETE trajet
+app.delete('/api/trajets/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    await prisma.trajet.delete({ where: { id: req.params.id } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('DELETE /api/trajets/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ========== ARRÊTS (Stops) ==========
+
+// GET arrêts par trajet
+app.get('/api/arrets/trajet/:trajetId', async (req, res) => {
+  try {
+    const arrets = await prisma.arret.findMany({
+      where: { trajetId: req.params.trajetId },
+      include: { stop: true },
+      orderBy: { ordre: 'asc' }
+    });
+    res.json(arrets);
+  } catch (e) {
+    console.error('GET /api/arrets/trajet/:trajetId ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// POST créer arrêt
+app.post('/api/arrets', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    if (!b.trajetId || (!b.nom && !b.stopId)) {
+      return res.status(400).json({ error: 'Missing fields: trajetId, nom ou stopId' });
+    }
+    const stop = await resolveArretStop(prisma, b);
+    if (!stop) return res.status(404).json({ error: 'Point d\'arrêt introuvable' });
+
+    // Calculer automatiquement le prochain numéro d'ordre si non fourni
+    let ordre = b.ordre;
+    if (ordre === undefined || ordre === null) {
+      const maxOrdre = await prisma.arret.aggregate({
+        where: { trajetId: b.trajetId },
+        _max: { ordre: true }
+      });
+      ordre = (maxOrdre._max.ordre || 0) + 1;
+    }
+
+    const arret = await prisma.arret.create({
+      data: {
+        trajetId: b.trajetId,
+        stopId: stop.id,
+        nom: stop.nom,
+        adresse: b.adresse || stop.adresse || null,
+        ordre: ordre,
+        tempsArriveeAntecedent: b.tempsArriveeAntecedent || 0
+      },
+      include: { stop: true }
+    });
+
+    res.json(arret);
+  } catch (e) {
+    console.error('POST /api/arrets ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// PUT modifier arrêt
+app.put('/api/arrets/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    const data = {
+      nom: b.nom ?? undefined,
+      adresse: b.adresse ?? undefined,
+      ordre: b.ordre ?? undefined,
+      tempsArriveeAntecedent: b.tempsArriveeAntecedent ?? undefined
+    };
+    // Changement de nom ou de point d'arrêt -> rattachement au registre
+    if (b.stopId || b.nom) {
+      const stop = await resolveArretStop(prisma, b);
+      if (!stop) return res.status(404).json({ error: 'Point d\'arrêt introuvable' });
+      data.stopId = stop.id;
+      data.nom = stop.nom;
+    }
+
+    const arret = await prisma.arret.update({
+      where: { id: req.params.id },
+      data,
+      include: { stop: true }
+    });
+
+    res.json(arret);
+  } catch (e) {
+    console.error('PUT /api/arrets/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DELETE arrêt
+app.delete('/api/arrets/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    await prisma.arret.delete({ where: { id: req.params.id } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('DELETE /api/arrets/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ========== POINTS D'ARRÊT (registre partagé) ==========
+
+// "Place de l'Église" -> "PLACE-DE-L-EGLISE"
+function stopCodeFromNom(nom) {
+  return String(nom).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'ARRET';
+}
+
+// Point d'arrêt par code, sinon par nom exact ; créé s'il n'existe pas (code rendu unique)
+async function findOrCreateStop(db, { code, nom, ...rest }) {
+  if (code) {
+    const byCode = await db.stop.findUnique({ where: { code } });
+    if (byCode) return byCode;
+  } else {
+    const byNom = await db.stop.findFirst({ where: { nom }, orderBy: { createdAt: 'asc' } });
+    if (byNom) return byNom;
+  }
+  let candidate = code || stopCodeFromNom(nom);
+  for (let k = 2; await db.stop.findUnique({ where: { code: candidate } }); k++) {
+    candidate = `${code || stopCodeFromNom(nom)}-${k}`;
+  }
+  return db.stop.create({ data: { code: candidate, nom: nom || candidate, ...rest } });
+}
+
+// Arrêt d'un trajet : stopId fourni (doit exister), sinon rattaché par nom
+async function resolveArretStop(db, b) {
+  if (b.stopId) return db.stop.findUnique({ where: { id: b.stopId } });
+  return findOrCreateStop(db, { nom: b.nom.trim(), adresse: b.adresse || null });
+}
+
+const STOP_FIELDS = ['nom', 'adresse', 'commune', 'accessibiliteNote', 'abriNote', 'statut'];
+const STOP_FLAGS = ['accessiblePMR', 'annonceSonore', 'bandeEveil', 'abri'];
+
+// Corps de requête -> données Stop (coordonnées validées)
+function stopDataFromBody(b) {
+  const data = {};
+  for (const k of STOP_FIELDS) data[k] = b[k] ?? undefined;
+  for (const k of STOP_FLAGS) data[k] = b[k] === undefined ? undefined : Boolean(b[k]);
+  for (const [k, max] of [['latitude', 90], ['longitude', 180]]) {
+    if (b[k] === undefined) continue;
+    if (b[k] === null || b[k] === '') { data[k] = null; continue; }
+    const v = Number(b[k]);
+    if (!Number.isFinite(v) || Math.abs(v) > max) throw new Error(`${k} invalide : ${b[k]}`);
+    data[k] = v;
+  }
+  return data;
+}
+
+// LISTE ?q= (nom, code ou commune)
+app.get('/api/stops', async (req, res) => {
+  try {
+    const q = req.query.q?.trim();
+    const where = q ? { OR: [{ nom: { contains: q } }, { code: { contains: q } }, { commune: { contains: q } }] } : {};
+    const stops = await prisma.stop.findMany({
+      where,
+      include: { _count: { select: { arrets: true } } },
+      orderBy: { nom: 'asc' },
+    });
+    res.json(stops);
+  } catch (e) {
+    console.error('GET /api/stops ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DETAIL (avec les trajets desservis)
+app.get('/api/stops/:id', async (req, res) => {
+  try {
+    const stop = await prisma.stop.findUnique({
+      where: { id: req.params.id },
+      include: { arrets: { include: { trajet: { include: { ligne: true } } }, orderBy: { ordre: 'asc' } } },
+    });
+    if (!stop) return res.status(404).json({ error: 'Point d\'arrêt introuvable' });
+    res.json(stop);
+  } catch (e) {
+    console.error('GET /api/stops/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// CREATE
+app.post('/api/stops', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    if (!b.nom) return res.status(400).json({ error: 'Champs requis manquants', missing: ['nom'] });
+    const code = (b.code?.trim() || stopCodeFromNom(b.nom)).toUpperCase();
+    if (await prisma.stop.findUnique({ where: { code } })) {
+      return res.status(409).json({ error: `Le code ${code} est déjà utilisé` });
+    }
+    const stop = await prisma.stop.create({ data: { ...stopDataFromBody(b), code } });
+    res.status(201).json(stop);
+  } catch (e) {
+    console.error('POST /api/stops ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// UPDATE (le nom est recopié sur les arrêts des trajets)
+app.put('/api/stops/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const b = req.body;
+    const data = stopDataFromBody(b);
+    if (b.code) data.code = b.code.trim().toUpperCase();
+    const stop = await prisma.$transaction(async (tx) => {
+      const updated = await tx.stop.update({ where: { id: req.params.id }, data });
+      if (b.nom) await tx.arret.updateMany({ where: { stopId: updated.id }, data: { nom: updated.nom } });
+      return updated;
+    });
+    res.json(stop);
+  } catch (e) {
+    console.error('PUT /api/stops/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// DELETE (refusé tant qu'un trajet le dessert)
+app.delete('/api/stops/:id', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const used = await prisma.arret.count({ where: { stopId: req.params.id } });
+    if (used) return res.status(409).json({ error: `Point d'arrêt desservi par ${used} trajet(s)` });
+    await prisma.stop.delete({ where: { id: req.params.id } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('DELETE /api/stops/:id ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// Rattache les arrêts existants (sans point d'arrêt) au registre, par nom
+app.post('/api/stops/from-arrets', requireRole(...ROLES_EXPLOITATION), async (req, res) => {
+  try {
+    const result = await prisma.$transaction(async (tx) => {
+      const orphelins = await tx.arret.findMany({ where: { stopId: null }, orderBy: { createdAt: 'asc' } });
+      const before = await tx.stop.count();
+      for (const a of orphelins) {
+        const stop = await findOrCreateStop(tx, { nom: a.nom.trim(), adresse: a.adresse || null });
+        await tx.arret.update({ where: { id: a.id }, data: { stopId: stop.id } });
+      }
+      return { arrets: orphelins.length, stopsCrees: (await tx.stop.count()) - before };
+    }, { timeout: 60000 });
+    res.json(result);
+  } catch (e) {
+    console.error('POST /api/stops/from-arrets ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// PASSAGES ?date=YYYY-MM-DD (défaut : aujourd'hui) : lignes et services qui desservent l'arrêt ce jour-là
+app.get('/api/stops/:id/passages', async (req, res) => {
+  try {
+    const dayKey = toDayKey(req.query.date || getTodayDateParis());
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dayKey)) return res.status(400).json({ error: 'Paramètre date invalide (YYYY-MM-DD)' });
+    const day = new Date(`${dayKey}T00:00:00.000Z`);
+
+    const stop = await prisma.stop.findUnique({ where: { id: req.params.id } });
+    if (!stop) return res.status(404).json({ error: 'Point d\'arrêt introuvable' });
+
+    const desserte = await prisma.arret.findMany({ where: { stopId: stop.id }, select: { trajet: { select: { ligneId: true } } } });
+    const ligneIds = [...new Set(desserte.map(a => a.trajet.ligneId))];
+    if (!ligneIds.length) return res.json({ stop, date: dayKey, lignes: [], passages: [] });
+
+    const [trajetsByLigne, services, ctx] = await Promise.all([
+      loadTrajetsByLigne(prisma, ligneIds),
+      prisma.service.findMany({
+        where: { ligneId: { in: ligneIds }, date: { gte: day, lt: new Date(day.getTime() + DAY_MS) }, statut: { not: 'Annulée' } },
+        include: { ligne: true, sens: true, template: true, conducteur: true, vehicle: true },
+        orderBy: { heureDebut: 'asc' },
+      }),
+      loadCalendarContext(prisma, day, day),
+    ]);
+
+    const passages = [];
+    for (const s of services.filter(s => serviceRunsPerCalendar(ctx, s))) {
+      const trajet = trajetForService(s, trajetsByLigne);
+      if (!trajet) continue;
+      for (const { arret, minutes } of stopTimesFor(s.heureDebut, trajet.arrets)) {
+        if (arret.stopId !== stop.id) continue;
+        passages.push({
+          heure: minutesToHeure(minutes),
+          lendemain: minutes >= 1440,
+          minutes,
+          ordre: arret.ordre,
+          terminus: arret.ordre === trajet.arrets[trajet.arrets.length - 1].ordre,
+          serviceId: s.id,
+          statut: s.statut,
+          ligne: { id: s.ligne.id, numero: s.ligne.numero, nom: s.ligne.nom },
+          sens: s.sens ? { id: s.sens.id, nom: s.sens.nom, direction: s.sens.direction } : null,
+          trajet: { id: trajet.id, nom: trajet.nom },
+          conducteur: s.conducteur ? `${s.conducteur.prenom} ${s.conducteur.nom}` : null,
+          vehicleParc: s.vehicleParc || null,
+        });
+      }
+    }
+    passages.sort((a, b) => a.minutes - b.minutes);
+
+    const lignes = new Map();
+    for (const p of passages) {
+      if (!lignes.has(p.ligne.id)) lignes.set(p.ligne.id, { ...p.ligne, passages: 0 });
+      lignes.get(p.ligne.id).passages++;
+    }
+    res.json({ stop, date: dayKey, lignes: [...lignes.values()], passages });
+  } catch (e) {
+    console.error('GET /api/stops/:id/passages ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ========== HORAIRES AUX ARRÊTS ==========
+
+// Horaires d'un service sur un trajet + contrôle de cohérence avec heureFin
+// (durée du service, minuit compris, comparée au temps de parcours cumulé du trajet)
+function serviceHoraires(service, trajet) {
+  const arrets = stopTimesFor(service.heureDebut, trajet.arrets).map(({ arret, minutes }) => ({
+    ordre: arret.ordre,
+    nom: arret.nom,
+    stopId: arret.stopId || null,
+    heure: minutesToHeure(minutes),
+    lendemain: minutes >= 1440,
+  }));
+  const { start, end } = serviceInterval(service);
+  const dureeService = end - start;
+  const dureeTrajet = trajet.arrets.slice(1).reduce((sum, a) => sum + (a.tempsArriveeAntecedent || 0), 0);
+  const heureFinCalculee = minutesToHeure(timeToMinutes(service.heureDebut) + dureeTrajet);
+  return {
+    arrets,
+    dureeService,
+    dureeTrajet,
+    heureFinCalculee,
+    ecartFinMinutes: dureeService - dureeTrajet,
+    incoherenceHeureFin: dureeService !== dureeTrajet,
+  };
+}
+
+// Trajets actifs (avec arrêts) d'une ligne, indexés pour trajetForService
+async function loadTrajetsByLigne(db, ligneIds) {
+  const trajets = await db.trajet.findMany({
+    where: { ligneId: { in: ligneIds }, statut: 'Actif' },
+    include: { arrets: { orderBy: { ordre: 'asc' } } },
+    orderBy: { ordre: 'asc' },
+  });
+  const byLigne = new Map();
+  for (const t of trajets.filter(t => t.arrets.length)) {
+    if (!byLigne.has(t.ligneId)) byLigne.set(t.ligneId, []);
+    byLigne.get(t.ligneId).push(t);
+  }
+  return byLigne;
+}
+
+// HORAIRES d'un service (trajet de sa course type, sinon du sens, sinon de la ligne)
+app.get('/api/services/:id/horaires', async (req, res) => {
+  try {
+    const service = await prisma.service.findUnique({
+      where: { id: req.params.id },
+      include: { ligne: true, sens: true, template: true },
+    });
+    if (!service) return res.status(404).json({ error: 'Not found' });
+
+    const trajet = trajetForService(service, await loadTrajetsByLigne(prisma, [service.ligneId]));
+    if (!trajet) return res.status(404).json({ error: 'Aucun trajet avec arrêts pour ce service' });
+
+    res.json({
+      serviceId: service.id,
+      date: toDayKey(service.date),
+      heureDebut: service.heureDebut,
+      heureFin: service.heureFin,
+      ligne: { id: service.ligne.id, numero: service.ligne.numero, nom: service.ligne.nom },
+      sens: service.sens ? { id: service.sens.id, nom: service.sens.nom, direction: service.sens.direction } : null,
+      trajet: { id: trajet.id, nom: trajet.nom },
+      ...serviceHoraires(service, trajet),
+    });
+  } catch (e) {
+    console.error('GET /api/services/:id/horaires ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// Grille arrêts x services d'un trajet pour une journée (services de la ligne déjà chargés)
+function ficheHoraire(trajet, sens, services, { ctx, trajetsByLigne }) {
+  const colonnes = services
+    .filter(s => serviceRunsPerCalendar(ctx, s) && trajetForService(s, trajetsByLigne)?.id === trajet.id)
+    .map(s => ({ service: s, horaires: serviceHoraires(s, trajet) }));
+
+  return {
+    ligne: { id: trajet.ligne.id, numero: trajet.ligne.numero, nom: trajet.ligne.nom },
+    sens: sens ? { id: sens.id, nom: sens.nom, direction: sens.direction } : null,
+    trajet: { id: trajet.id, nom: trajet.nom },
+    services: colonnes.map(({ service: s, horaires: h }) => ({
+      serviceId: s.id,
+      heureDebut: s.heureDebut,
+      heureFin: s.heureFin,
+      statut: s.statut,
+      conducteur: s.conducteur ? `${s.conducteur.prenom} ${s.conducteur.nom}` : null,
+      passeMinuit: h.arrets.some(a => a.lendemain),
+      heureFinCalculee: h.heureFinCalculee,
+      ecartFinMinutes: h.ecartFinMinutes,
+      incoherenceHeureFin: h.incoherenceHeureFin,
+    })),
+    arrets: trajet.arrets.map((a, i) => ({
+      ordre: a.ordre,
+      nom: a.nom,
+      stopId: a.stopId || null,
+      horaires: colonnes.map(({ horaires: h }) => h.arrets[i].heure),
+    })),
+    incoherences: colonnes.filter(c => c.horaires.incoherenceHeureFin).length,
+  };
+}
+
+// FICHE HORAIRE ?date=YYYY-MM-DD (défaut : aujourd'hui) : grille arrêts x services du trajet
+app.get('/api/trajets/:id/fiche-horaire', async (req, res) => {
+  try {
+    const dayKey = toDayKey(req.query.date || getTodayDateParis());
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dayKey)) return res.status(400).json({ error: 'Paramètre date invalide (YYYY-MM-DD)' });
+    const day = new Date(`${dayKey}T00:00:00.000Z`);
+
+    const trajet = await prisma.trajet.findUnique({
+      where: { id: req.params.id },
+      include: { ligne: true, arrets: { orderBy: { ordre: 'asc' } } },
+    });
+    if (!trajet) return res.status(404).json({ error: 'Not found' });
+    if (!trajet.arrets.length) return res.status(400).json({ error: 'Trajet sans arrêts' });
+
+    const [trajetsByLigne, services, ctx, sens] = await Promise.all([
+      loadTrajetsByLigne(prisma, [trajet.ligneId]),
+      prisma.service.findMany({
+        where: { ligneId: trajet.ligneId, date: { gte: day, lt: new Date(day.getTime() + DAY_MS) }, statut: { not: 'Annulée' } },
+        include: { template: true, conducteur: true },
+        orderBy: { heureDebut: 'asc' },
+      }),
+      loadCalendarContext(prisma, day, day),
+      trajet.sensId ? prisma.sens.findUnique({ where: { id: trajet.sensId } }) : null,
+    ]);
+
+    res.json({ date: dayKey, ...ficheHoraire(trajet, sens, services, { ctx, trajetsByLigne }) });
+  } catch (e) {
+    console.error('GET /api/trajets/:id/fiche-horaire ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
+
+// ---------- CSV Import Endpoints ----------
+
+// Helper: Décoder un fichier importé -> { text, encoding }
+// BOM UTF-8/UTF-16 respecté ; sinon UTF-8 strict, repli en Windows-1252 (exports Excel français)
+function decodeImportText(input) {
+  if (typeof input === 'string') return { text: input.replace(/^\uFEFF/, ''), encoding: 'utf-8' };
+  if (input[0] === 0xef && input[1] === 0xbb && input[2] === 0xbf) {
+    return { text: input.subarray(3).toString('utf8'), encoding: 'utf-8' };
+  }
+  if (input[0] === 0xff && input[1] === 0xfe) return { text: input.subarray(2).toString('utf16le'), encoding: 'utf-16le' };
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(input), encoding: 'utf-8' };
+  } catch {
+    return { text: new TextDecoder('windows-1252').decode(input), encoding: 'windows-1252' };
+  }
+}
+
+// Helper: Séparateur de la 1re ligne d'entête (hors guillemets et hors [SECTION]) : ";", "," ou tabulation
+function detectCsvDelimiter(text) {
+  const header = text.split(/\r?\n/).find(l => l.trim() && !/^\[[^\]]+\]/.test(l.trim())) || '';
+  const counts = { ';': 0, ',': 0, '\t': 0 };
+  let quoted = false;
+  for (const c of header) {
+    if (c === '"') quoted = !quoted;
+    else if (!quoted && c in counts) counts[c]++;
+  }
+  const [best, n] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return n > 0 ? best : ',';
+}
+
+// Helper: Entête normalisée (sans accents ni casse, ponctuation -> espace) : "N° Arrêt (min)" -> "n arret min"
+function normalizeCsvHeader(h) {
+  return String(h).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Helper: Parse CSV (RFC 4180, via parseCsvRecords) découpé en sections [LIGNES], [ARRETS], etc.
+// -> { sections: { NOM: { headers, labels, rows, lines } }, delimiter, encoding }
+// headers normalisés (normalizeCsvHeader), labels tels que saisis, lines = n° de ligne du fichier de chaque row
+// defaultSection : section des lignes précédant tout entête [SECTION]
+function parseCSV(input, { defaultSection = 'LIGNES' } = {}) {
+  const { text, encoding } = decodeImportText(input);
+  const delimiter = detectCsvDelimiter(text);
+  const records = parseCsvRecords(text, delimiter)
+    .filter(r => r.some(v => v.trim() !== ''));
+  if (records.length < 2) throw Object.assign(new Error('CSV vide ou invalide'), { line: records[0]?.line ?? 1, status: 400 });
+
+  const sections = {};
+  let current = null;
+  const open = (name) => {
+    current = { name, headers: null, labels: null, rows: [], lines: [] };
+    sections[name] = current;
+  };
+  open(defaultSection);
+
+  for (const record of records) {
+    const first = record[0].trim();
+    // Entête de section (Excel ajoute des séparateurs vides : "[ARRETS];;;")
+    if (/^\[.+\]$/.test(first) && record.slice(1).every(v => !v.trim())) {
+      open(first.slice(1, -1).trim().toUpperCase());
+      continue;
+    }
+    if (!current.headers) {
+      current.labels = record.map(h => h.trim());
+      current.headers = current.labels.map(normalizeCsvHeader);
+      current.headerLine = record.line;
+      continue;
+    }
+    const row = {};
+    current.headers.forEach((header, index) => {
+      if (header) row[header] = (record[index] ?? '').trim();
+    });
+    current.rows.push(row);
+    current.lines.push(record.line);
+  }
+
+  for (const section of Object.values(sections)) {
+    section.headers = section.headers || [];
+    section.labels = section.labels || [];
+  }
+  return { sections, delimiter, encoding };
+}
+
+// Helper: Parse jours "L; M; M; J; V; S; D" en objet calendrier
+function parseJours(joursStr) {
+  if (!joursStr) return null;
+  
+  const jours = joursStr.split(';').map(j => j.trim().toUpperCase());
+  const mapping = {
+    'L': 'lundi',
+    'M': 'mardi',
+    'J': 'jeudi',
+    'V': 'vendredi',
+    'S': 'samedi',
+    'D': 'dimanche'
+  };
+
+  const calendrier = {
+    lundi: false,
+    mardi: false,
+    mercredi: false,
+    jeudi: false,
+    vendredi: false,
+    samedi: false,
+    dimanche: false
+  };
+
+  // Compter les "M" pour identifier mardi et mercredi
+  let mCount = 0;
+  jours.forEach(j => {
+    if (j === 'L') calendrier.lundi = true;
+    else if (j === 'M') {
+      mCount++;
+      if (mCount === 1) calendrier.mardi = true;
+      else if (mCount === 2) calendrier.mercredi = true;
+    }
+    else if (j === 'J') calendrier.jeudi = true;
+    else if (j === 'V') calendrier.vendredi = true;
+    else if (j === 'S') calendrier.samedi = true;
+    else if (j === 'D') calendrier.dimanche = true;
+  });
+
+  return calendrier;
+}
+
+// Helper: Parse heures "04h37" -> "04:37"
+function parseHeure(heureStr) {
+  if (!heureStr) return null;
+  return heureStr.replace('h', ':');
+}
+
+// Helper: Fichiers d'un import : fichiers multipart, sinon corps brut de la requête (un seul fichier)
+function uploadedFiles(req, defaultName) {
+  if (req.files) return req.files;
+  const body = req.body;
+  if (!Buffer.isBuffer(body) && typeof body !== 'string') return [];
+  if (!body.length) return [];
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body, 'utf8');
+  return [{ fieldname: 'body', filename: defaultName, mimeType: req.headers['content-type'] || null, buffer, size: buffer.length }];
+}
+
+// Helper: Conserver les fichiers reçus par un import (artefacts, statut "Reçu")
+async function saveImportArtifacts(db, importType, files, author) {
+  const artifacts = [];
+  for (const f of files) {
+    artifacts.push(await db.importArtifact.create({
+      data: {
+        importType,
+        champ: f.fieldname,
+        nomFichier: f.filename,
+        mimeType: f.mimeType || null,
+        taille: f.buffer.length,
+        sha256: crypto.createHash('sha256').update(f.buffer).digest('hex'),
+        contenu: f.buffer,
+        author,
+      },
+      select: { id: true },
+    }));
+  }
+  return artifacts;
+}
+
+// Helper: Statut final des artefacts d'un import ("Importé" ou "Erreur") + résumé du résultat
+async function closeImportArtifacts(db, artifacts, statut, resultat) {
+  if (!artifacts.length) return;
+  await db.importArtifact.updateMany({
+    where: { id: { in: artifacts.map(a => a.id) } },
+    data: { statut, resultatJson: JSON.stringify(resultat) },
+  });
+}
+
+// Helper: Ouvrir un ImportJob (statut "En cours") rattaché aux artefacts reçus
+async function startImportJob(db, { importType, dryRun, artifacts, author }) {
+  return db.importJob.create({
+    data: {
+      importType,
+      dryRun,
+      author,
+      artifacts: { connect: artifacts.map(a => ({ id: a.id })) },
+    },
+    select: { id: true },
+  });
+}
+
+// Helper: Clore un ImportJob avec son rapport (et l'erreur éventuelle)
+async function finishImportJob(db, job, { statut, result, error }) {
+  await db.importJob.update({
+    where: { id: job.id },
+    data: {
+      statut,
+      countsJson: result?.counts ? JSON.stringify(result.counts) : null,
+      rapportJson: result ? JSON.stringify({ report: result.report, errors: result.errors, formats: result.formats }) : null,
+      erreur: error ? error.message : null,
+      finishedAt: new Date(),
+    },
+  });
+}
+
+// POST /api/import/lignes - Import CSV de lignes
+// Corps brut (text/csv) ou multipart : un fichier à sections [LIGNES]/[ARRETS], ou des fichiers nommés
+// "lignes" et "arrets" (champ ou nom de fichier, ex: lignes.csv + arrets.csv)
+app.post(
+  '/api/import/lignes',
+  requireRole(...ROLES_EXPLOITATION),
+  multipartUpload,
+  express.raw({ type: ['text/*', 'application/csv', 'application/vnd.ms-excel', 'application/octet-stream'], limit: '10mb' }),
+  async (req, res) => {
+    console.log('[IMPORT] POST /api/import/lignes');
+    await handleTransactionalImport(req, res, {
+      importType: 'lignes',
+      defaultName: 'lignes.csv',
+      process: (tx, files) => processImportLignes(tx, files),
+    });
+  }
+);
+
+// Helper: Traitement commun des routes d'import transactionnelles (lignes, véhicules, conducteurs) :
+// fichiers reçus -> artefacts + ImportJob -> import (ou simulation ?dryRun=true) -> réponse avec le rapport
+async function handleTransactionalImport(req, res, { importType, defaultName, process }) {
+  const route = `POST /api/import/${importType}`;
+  try {
+    if (!prismaReady) {
+      return res.status(503).json({ error: 'Database not ready' });
+    }
+
+    const files = uploadedFiles(req, defaultName);
+    if (!files.length) {
+      return res.status(400).json({ error: 'Aucun fichier fourni' });
+    }
+
+    // ?dryRun=true : rapport de ce qui serait créé / modifié / ignoré, sans rien écrire (ni archiver)
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun) === 'true';
+    if (dryRun) discardPlanningEvents();
+    const artifacts = dryRun ? [] : await saveImportArtifacts(prisma, importType, files, authorOf(req));
+    const job = await startImportJob(prisma, { importType, dryRun, artifacts, author: authorOf(req) });
+    try {
+      const result = await runTransactionalImport((tx) => process(tx, files), { dryRun });
+      await finishImportJob(prisma, job, { statut: dryRun ? 'Simulé' : 'Terminé', result });
+      await closeImportArtifacts(prisma, artifacts, 'Importé', { importJobId: job.id, counts: result.counts });
+      res.status(dryRun ? 200 : 201).json({ importJobId: job.id, dryRun, ...result, artifacts: artifacts.map(a => a.id) });
+    } catch (error) {
+      await finishImportJob(prisma, job, { statut: 'Échec', result: error.result, error });
+      await closeImportArtifacts(prisma, artifacts, 'Erreur', { importJobId: job.id, error: error.message });
+      error.importJobId = job.id;
+      throw error;
+    }
+  } catch (error) {
+    console.error(`[IMPORT] ${route} ERROR ->`, error.message);
+    // Erreur de format (syntaxe CSV, colonnes) -> 400 avec sa position dans le fichier
+    if (error.line !== undefined) {
+      return res.status(400).json({ error: error.message, importJobId: error.importJobId, file: error.file, line: error.line, column: error.column });
+    }
+    // Erreurs sur des lignes du fichier -> transaction annulée, rapport renvoyé
+    if (error.result) {
+      return res.status(422).json({ error: error.message, importJobId: error.importJobId, ...error.result });
+    }
+    // Fichier refusé avant traitement (archive trop volumineuse...) -> son statut
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, importJobId: error.importJobId, file: error.file });
+    }
+    res.status(500).json({ error: error.message, importJobId: error.importJobId });
+  }
+}
+
+// Helper: Fichiers reçus -> sections [LIGNES]/[ARRETS] fusionnées
+// Sans entête de section, un fichier est la section de son champ / nom ("arrets.csv" -> ARRETS, sinon LIGNES)
+function importLignesSections(files) {
+  const sections = {};
+  const formats = [];
+  for (const file of files) {
+    const defaultSection = /arr[eê]t/i.test(`${file.fieldname} ${file.filename}`) ? 'ARRETS' : 'LIGNES';
+    let parsed;
+    try {
+      parsed = parseCSV(file.buffer, { defaultSection });
+    } catch (e) {
+      e.message = `${file.filename}: ${e.message}`;
+      e.file = file.filename;
+      throw e;
+    }
+    for (const [name, section] of Object.entries(parsed.sections)) {
+      if (!section.headers.length) continue;
+      if (sections[name]) {
+        throw Object.assign(new Error(`Section [${name}] fournie deux fois (${sections[name].file}, ${file.filename})`), { status: 400, file: file.filename });
+      }
+      sections[name] = { ...section, file: file.filename };
+    }
+    formats.push({ fichier: file.filename, delimiter: parsed.delimiter, encoding: parsed.encoding });
+  }
+  return { sections, formats };
+}
+
+// Helper: Rapport d'import lignes : éléments créés, modifiés ou ignorés par entité
+function emptyLignesImportReport() {
+  const bucket = () => ({ create: [], update: [], skip: [] });
+  return { Ligne: bucket(), Sens: bucket(), Trajet: bucket(), Arret: bucket(), Service: bucket() };
+}
+
+// Helper: Traiter l'import des lignes dans `db` (client de transaction) -> { imported, errors, counts, report }
+async function processImportLignes(db, files) {
+  const { sections, formats } = importLignesSections(files);
+
+  // Parser les sections
+  const lignesData = sections['LIGNES'] || { headers: [], labels: [], rows: [], lines: [] };
+  const arretsData = sections['ARRETS'] || { headers: [], labels: [], rows: [], lines: [] };
+
+  // Valider les colonnes requises pour les lignes (comparaison sans accents ni casse)
+  const requiredColumns = ['Numéro de ligne', 'Nom de la ligne', 'Jours de fonctionnement', 'Type', 'Premier départ', 'Dernier arrivé au dépôt'];
+  const missingColumns = requiredColumns.filter(col => !lignesData.headers.includes(normalizeCsvHeader(col)));
+
+  if (missingColumns.length > 0) {
+    const error = new Error(`Colonnes manquantes dans [LIGNES]: ${missingColumns.join(', ')}`);
+    error.line = lignesData.headerLine ?? 1;
+    error.file = lignesData.file;
+    throw error;
+  }
+
+  // Position d'une erreur : "[arrets.csv] Ligne 12, colonne 3 (Nom arrêt)"
+  const at = (data, i, label) => {
+    const col = label ? data.headers.indexOf(normalizeCsvHeader(label)) : -1;
+    const file = files.length > 1 ? `[${data.file}] ` : '';
+    return `${file}Ligne ${data.lines[i]}${col >= 0 ? `, colonne ${col + 1} (${data.labels[col]})` : ''}`;
+  };
+
+  let imported = 0;
+  const errors = [];
+  const report = emptyLignesImportReport();
+  const trajetsMap = new Map(); // Tracker: trajet -> Prisma object
+  
+  // Obtenir la date d'aujourd'hui en heure Paris
+  const todayStr = getTodayDateParis();
+  const [year, month, day] = todayStr.split('-').map(Number);
+  
+  // Créer une date pour "aujourd'hui" en heure Paris
+  // On utilise une date UTC pour éviter les décalages timezone
+  const today = new Date(Date.UTC(year, month - 1, day, 0, 0, 0));
+  
+  // Obtenir le jour de la semaine en heure Paris
+  const tempFormatter = new Intl.DateTimeFormat('fr-FR', { 
+    timeZone: 'Europe/Paris',
+    weekday: 'long'
+  });
+  const todayDayName = tempFormatter.format(today).toLowerCase();
+  const dayNameMap = {
+    'lundi': 1, 'mardi': 2, 'mercredi': 3, 'jeudi': 4,
+    'vendredi': 5, 'samedi': 6, 'dimanche': 0
+  };
+  const todayDayOfWeek = dayNameMap[todayDayName] || 1;
+
+  // ============ PHASE 1: Importer les lignes, sens, trajets et services ============
+  for (let i = 0; i < lignesData.rows.length; i++) {
+    try {
+      const row = lignesData.rows[i];
+      const source = at(lignesData, i);
+      const numero = row['numero de ligne'];
+      const nom = row['nom de la ligne'];
+      const joursStr = row['jours de fonctionnement'];
+      const type = row['type'];
+      const heureDebut = parseHeure(row['premier depart']);
+      const heureFin = parseHeure(row['dernier arrive au depot']);
+      const sensNom = row['sens'];
+      const sensDirection = row['direction'];
+      const trajetNom = row['trajet'];
+      const trajetDescription = row['description trajet'];
+
+      if (!numero || !nom) {
+        errors.push(`${at(lignesData, i, numero ? 'Nom de la ligne' : 'Numéro de ligne')}: numéro et nom requis`);
+        continue;
+      }
+
+      const calendrier = parseJours(joursStr);
+
+      // Chercher si la ligne existe
+      let ligne = await db.ligne.findUnique({
+        where: { numero },
+        include: { sens: true }
+      });
+
+      // Si la ligne n'existe pas, la créer
+      if (!ligne) {
+        ligne = await db.ligne.create({
+          data: {
+            numero,
+            nom,
+            typesVehicules: JSON.stringify(type ? [type] : ['Standard']),
+            heureDebut,
+            heureFin,
+            calendrierJson: JSON.stringify(calendrier),
+            statut: 'Actif',
+          },
+          include: { sens: true }
+        });
+        report.Ligne.create.push({ source, numero, nom });
+      } else {
+        // La ligne existe déjà : on ne met à jour que les infos essentielles si elle était vide
+        if (!ligne.nom || ligne.nom === '') {
+          ligne = await db.ligne.update({
+            where: { numero },
+            data: {
+              nom,
+              statut: 'Actif',
+            },
+            include: { sens: true }
+          });
+          report.Ligne.update.push({ source, numero, changes: [{ champ: 'nom', avant: '', apres: nom }] });
+        } else {
+          report.Ligne.skip.push({ source, numero, raison: 'ligne existante' });
+        }
+      }
+
+      // Créer/mettre à jour le sens
+      let sens = null;
+      if (sensNom) {
+        const existing = await db.sens.findUnique({ where: { ligneId_nom: { ligneId: ligne.id, nom: sensNom } } });
+        const direction = sensDirection || null;
+        if (!existing) {
+          sens = await db.sens.create({ data: { ligneId: ligne.id, nom: sensNom, direction, statut: 'Actif' } });
+          report.Sens.create.push({ source, ligne: numero, nom: sensNom, direction });
+        } else if (existing.direction !== direction) {
+          sens = await db.sens.update({ where: { id: existing.id }, data: { direction } });
+          report.Sens.update.push({ source, ligne: numero, nom: sensNom, changes: [{ champ: 'direction', avant: existing.direction, apres: direction }] });
+        } else {
+          sens = existing;
+          report.Sens.skip.push({ source, ligne: numero, nom: sensNom, raison: 'inchangé' });
+        }
+      }
+
+      // Créer/mettre à jour le trajet
+      let trajet = null;
+      if (trajetNom && sens) {
+        const existing = await db.trajet.findUnique({ where: { ligneId_nom: { ligneId: ligne.id, nom: trajetNom } } });
+        const description = trajetDescription || null;
+        if (!existing) {
+          trajet = await db.trajet.create({
+            data: { ligneId: ligne.id, sensId: sens.id, nom: trajetNom, description, statut: 'Actif' },
+          });
+          report.Trajet.create.push({ source, ligne: numero, nom: trajetNom, sens: sensNom });
+        } else if (existing.description !== description) {
+          trajet = await db.trajet.update({ where: { id: existing.id }, data: { description } });
+          report.Trajet.update.push({ source, ligne: numero, nom: trajetNom, changes: [{ champ: 'description', avant: existing.description, apres: description }] });
+        } else {
+          trajet = existing;
+          report.Trajet.skip.push({ source, ligne: numero, nom: trajetNom, raison: 'inchangé' });
+        }
+        trajetsMap.set(trajetNom, trajet);
+      } else if (trajetNom) {
+        report.Trajet.skip.push({ source, ligne: numero, nom: trajetNom, raison: 'sens non renseigné' });
+      }
+
+      // Créer les services
+      for (let j = 1; j <= 20; j++) {
+        const serviceBegin = row[`service ${j} debut`];
+        const serviceEnd = row[`service ${j} fin`];
+
+        if (serviceBegin && serviceEnd) {
+          const heureDebuitService = parseHeure(serviceBegin);
+          const heureFinService = parseHeure(serviceEnd);
+
+          if (heureDebuitService && heureFinService) {
+            // Course type commune à toutes les occurrences de ce service
+            const template = sens
+              ? await findOrCreateServiceTemplate(db, {
+                  ligneId: ligne.id,
+                  sensId: sens.id,
+                  heureDebut: heureDebuitService,
+                  heureFin: heureFinService,
+                })
+              : null;
+
+            // Créer le service pour chaque jour de fonctionnement
+            const joursActive = Object.keys(calendrier).filter(jour => calendrier[jour]);
+
+            for (const jour of joursActive) {
+              const serviceDate = new Date(today);
+              const dayMap = {
+                'lundi': 1, 'mardi': 2, 'mercredi': 3, 'jeudi': 4,
+                'vendredi': 5, 'samedi': 6, 'dimanche': 0,
+              };
+
+              const targetDay = dayMap[jour];
+              const currentDay = todayDayOfWeek; // Utiliser le jour correct en heure Paris
+              let daysToAdd = targetDay - currentDay;
+              
+              // Si le jour est dans le passé cette semaine, prendre la semaine prochaine
+              // Si c'est le même jour, aussi prendre la semaine prochaine
+              if (daysToAdd <= 0) daysToAdd += 7;
+
+              serviceDate.setDate(serviceDate.getDate() + daysToAdd);
+
+              const entry = { source, ligne: numero, sens: sensNom || null, date: toDayKey(serviceDate), heureDebut: heureDebuitService, heureFin: heureFinService };
+              // Doublon (même ligne, sens, jour et horaires) : ignoré
+              const duplicate = await db.service.findFirst({
+                where: {
+                  ligneId: ligne.id,
+                  sensId: sens?.id || null,
+                  date: serviceDate,
+                  heureDebut: heureDebuitService,
+                  heureFin: heureFinService,
+                },
+                select: { id: true },
+              });
+              if (duplicate) {
+                report.Service.skip.push({ ...entry, raison: 'service existant' });
+                continue;
+              }
+
+              // Créer le service (sans conducteur : chevauchements contrôlés à l'affectation)
+              await db.service.create({
+                data: {
+                  ligneId: ligne.id,
+                  sensId: sens?.id || null,
+                  templateId: template?.id || null,
+                  date: serviceDate,
+                  heureDebut: heureDebuitService,
+                  heureFin: heureFinService,
+                  statut: 'Planifiée',
+                },
+              });
+              report.Service.create.push(entry);
+            }
+          }
+        }
+      }
+
+      imported++;
+    } catch (error) {
+      errors.push(`${at(lignesData, i)} [LIGNES]: ${error.message}`);
+    }
+  }
+
+  // ============ PHASE 2: Importer les arrêts ============
+  for (let i = 0; i < arretsData.rows.length; i++) {
+    try {
+      const row = arretsData.rows[i];
+      const source = at(arretsData, i);
+      const trajetNom = row['trajet'];
+      const ordre = parseInt(row['ordre']) || 0;
+      const nomArret = row['nom arret'];
+      const temps = parseInt(row['temps depuis arret precedent min']) || 0;
+
+      if (!trajetNom || !nomArret) {
+        errors.push(`${at(arretsData, i, trajetNom ? 'Nom arrêt' : 'Trajet')} [ARRETS]: trajet et nom arrêt requis`);
+        continue;
+      }
+
+      const trajet = trajetsMap.get(trajetNom);
+      if (!trajet) {
+        errors.push(`${at(arretsData, i, 'Trajet')} [ARRETS]: trajet "${trajetNom}" non trouvé`);
+        continue;
+      }
+
+      // Créer l'arrêt, rattaché au registre des points d'arrêt
+      const stop = await findOrCreateStop(db, { nom: nomArret });
+      const wanted = { stopId: stop.id, nom: stop.nom, tempsArriveeAntecedent: temps };
+      const existing = await db.arret.findUnique({ where: { trajetId_ordre: { trajetId: trajet.id, ordre } } });
+      if (!existing) {
+        await db.arret.create({ data: { trajetId: trajet.id, ordre, ...wanted } });
+        report.Arret.create.push({ source, trajet: trajetNom, ordre, nom: stop.nom, tempsArriveeAntecedent: temps });
+        continue;
+      }
+      const changes = Object.entries(wanted)
+        .filter(([k, v]) => existing[k] !== v)
+        .map(([k, v]) => ({ champ: k, avant: existing[k], apres: v }));
+      if (changes.length) {
+        await db.arret.update({ where: { id: existing.id }, data: wanted });
+        report.Arret.update.push({ source, trajet: trajetNom, ordre, changes });
+      } else {
+        report.Arret.skip.push({ source, trajet: trajetNom, ordre, raison: 'inchangé' });
+      }
+    } catch (error) {
+      errors.push(`${at(arretsData, i)} [ARRETS]: ${error.message}`);
+    }
+  }
+
+  const counts = Object.fromEntries(Object.entries(report).map(([k, v]) => [k, { create: v.create.length, update: v.update.length, skip: v.skip.length }]));
+  return {
+    imported,
+    errors: errors.length > 0 ? errors : undefined,
+    formats,
+    counts,
+    report,
+    message: `${imported} ligne(s) et ${arretsData.rows.length} arrêt(s) importée(s)`,
+  };
+}
+
+// Durée max d'une transaction d'import. Une simulation garde le verrou d'écriture SQLite jusqu'à son annulation
+// (les autres écritures attendent) : sa limite est bien plus courte
+const IMPORT_TRANSACTION_TIMEOUT_MS = 120000;
+const IMPORT_DRY_RUN_TIMEOUT_MS = (Number(process.env.IMPORT_DRY_RUN_TIMEOUT_S) || 10) * 1000;
+
+// Helper: Import en une seule transaction : annulée entièrement à la moindre erreur ;
+// en simulation (dryRun), exécutée puis annulée pour obtenir le rapport exact sans rien écrire
+// process(tx) -> { errors?, counts, report, ... }
+async function runTransactionalImport(process, { dryRun }) {
+  const rollback = new Error('Import annulé');
+  const timeout = dryRun ? IMPORT_DRY_RUN_TIMEOUT_MS : IMPORT_TRANSACTION_TIMEOUT_MS;
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const result = await process(tx);
+      if (dryRun || result.errors) {
+        rollback.result = result;
+        throw rollback;
+      }
+      return result;
+    }, { timeout });
+  } catch (e) {
+    // P2028 : transaction expirée (déjà annulée par Prisma)
+    if (dryRun && e?.code === 'P2028') {
+      throw new Error(`Simulation interrompue après ${timeout / 1000} s : fichier trop volumineux pour une simulation, le découper ou l'importer directement`);
+    }
+    if (e !== rollback) throw e;
+    if (dryRun) return e.result;
+    const error = new Error(`Import annulé : ${e.result.errors.length} erreur(s), aucune modification enregistrée`);
+    error.result = e.result;
+    throw error;
+  }
+}
+
+// ---------- ZIP (fflate) ----------
+
+// files : [{ name, content (string|Buffer) }] -> Buffer .zip (deflate)
+function buildZip(files) {
+  const entries = Object.fromEntries(files.map(file => [
+    file.name,
+    Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8'),
+  ]));
+  const zip = zipSync(entries, { level: 6 });
+  return Buffer.from(zip.buffer, zip.byteOffset, zip.length);
+}
+
+// Valeurs -> ligne CSV (RFC 4180 : guillemets si séparateur, guillemet ou retour à la ligne)
+function csvLine(values, delimiter = ',') {
+  return values.map(v => {
+    const str = v == null ? '' : String(v);
+    return /["\r\n]/.test(str) || str.includes(delimiter) ? `"${str.replace(/"/g, '""')}"` : str;
+  }).join(delimiter);
+}
+
+function toCsv(headers, rows, delimiter = ',') {
+  return [csvLine(headers, delimiter), ...rows.map(r => csvLine(headers.map(h => r[h]), delimiter))].join('\r\n') + '\r\n';
+}
+
+// Archive zip refusée (Error status 413) si la taille décompressée totale annoncée par son répertoire central
+// dépasse maxSize ; rien n'est décompressé
+function checkZipUnpackedSize(buffer, maxSize = UPLOAD_LIMITS.unzippedSize) {
+  let total = 0;
+  try {
+    unzipSync(buffer, { filter: (file) => { total += file.originalSize; return false; } });
+  } catch (e) {
+    throw new Error(`Archive zip invalide (${e.message})`);
+  }
+  if (total > maxSize) {
+    const error = new Error(`Archive zip trop volumineuse une fois décompressée (max ${maxSize / 1024 / 1024} Mo)`);
+    error.status = 413;
+    throw error;
+  }
+}
+
+// Buffer .zip -> Map(nom -> Buffer), après checkZipUnpackedSize (fflate n'écrit jamais au-delà de la taille annoncée)
+function readZip(buffer, { maxSize } = {}) {
+  checkZipUnpackedSize(buffer, maxSize);
+  let entries;
+  try {
+    entries = unzipSync(buffer, { filter: (file) => !file.name.endsWith('/') });
+  } catch (e) {
+    throw new Error(`Archive zip invalide (${e.message})`);
+  }
+  return new Map(Object.entries(entries).map(([name, data]) => [name, Buffer.from(data.buffer, data.byteOffset, data.length)]));
+}
+
+// Texte CSV (RFC 4180, csv-parse) -> tableau d'enregistrements ; fins de ligne mélangées et guillemets dans
+// un champ non entouré acceptés. Chaque enregistrement porte `line` (ligne physique de début) ;
+// erreur de syntaxe -> Error avec line / column (n° du champ)
+function parseCsvRecords(text, delimiter = ',') {
+  let parsed;
+  try {
+    parsed = parseCsv(text, {
+      delimiter,
+      record_delimiter: ['\r\n', '\n', '\r'],
+      bom: true,
+      trim: true,
+      relax_quotes: true,
+      relax_column_count: true,
+      skip_empty_lines: true,
+      info: true,
+    });
+  } catch (e) {
+    if (!e.code?.startsWith('CSV_')) throw e;
+    let line = e.lines;
+    let message = e.message;
+    if (e.code === 'CSV_QUOTE_NOT_CLOSED') {
+      // e.lines pointe la fin du fichier : ligne du guillemet ouvrant retrouvée depuis le début de l'enregistrement
+      const before = Buffer.from(text).subarray(0, e.bytes).toString('utf8');
+      line = before.split('\n').length + (/^\s*/.exec(text.slice(before.length))[0].match(/\n/g) || []).length;
+      message = 'guillemet ouvrant jamais refermé';
+    } else if (e.code === 'CSV_NON_TRIMABLE_CHAR_AFTER_CLOSING_QUOTE') {
+      message = 'caractère inattendu après un guillemet fermant';
+    }
+    const column = Number.isInteger(e.column) ? e.column + 1 : 1;
+    const err = new Error(`Ligne ${line}, colonne ${column} : ${message}`);
+    err.line = line;
+    err.column = column;
+    throw err;
+  }
+  // info.lines = dernière ligne de l'enregistrement : on retire les retours à la ligne contenus dans ses champs
+  return parsed
+    .map(({ record, info }) => Object.assign(record, { line: info.lines - (record.join('').match(/\n/g) || []).length }))
+    .filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Texte CSV avec entête -> [{ colonne: valeur }]
+function csvObjects(text, delimiter = ',') {
+  const [headers = [], ...rows] = parseCsvRecords(text, delimiter);
+  const keys = headers.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])));
+}
+
+// ========== EXPORT GTFS ==========
+
+// Minutes -> "HH:MM:SS" GTFS (au-delà de 24:00:00 après minuit)
+function gtfsTime(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:00`;
+}
+
+const gtfsDate = (day) => toDayKey(day).replace(/-/g, '');
+
+// Horaires de passage d'une course : départ à heureDebut au 1er arrêt,
+// puis cumul de tempsArriveeAntecedent (celui du 1er arrêt est ignoré)
+function stopTimesFor(heureDebut, arrets) {
+  let t = timeToMinutes(heureDebut);
+  return arrets.map((a, i) => {
+    if (i > 0) t += a.tempsArriveeAntecedent || 0;
+    return { arret: a, minutes: t };
+  });
+}
+
+// Jours de circulation d'une course -> calendrier hebdo majoritaire + exceptions
+function gtfsCalendarFor(serviceId, days, { from, to }) {
+  const daySet = new Set(days);
+  const counts = new Array(7).fill(0);
+  const totals = new Array(7).fill(0);
+  for (let d = from; d <= to; d = new Date(d.getTime() + DAY_MS)) {
+    totals[d.getUTCDay()]++;
+    if (daySet.has(toDayKey(d))) counts[d.getUTCDay()]++;
+  }
+  const pattern = counts.map((c, i) => c > 0 && c * 2 >= totals[i]);
+
+  const exceptions = [];
+  for (let d = from; d <= to; d = new Date(d.getTime() + DAY_MS)) {
+    const key = toDayKey(d);
+    const runs = daySet.has(key);
+    if (runs && !pattern[d.getUTCDay()]) exceptions.push({ service_id: serviceId, date: gtfsDate(d), exception_type: 1 });
+    if (!runs && pattern[d.getUTCDay()]) exceptions.push({ service_id: serviceId, date: gtfsDate(d), exception_type: 2 });
+  }
+
+  const calendar = { service_id: serviceId, start_date: gtfsDate(from), end_date: gtfsDate(to) };
+  JOURS_SEMAINE.forEach((_, i) => {
+    calendar[['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][i]] = pattern[i] ? 1 : 0;
+  });
+  return { calendar, exceptions };
+}
+
+// Trajet parcouru par une course : celui de la course type, sinon le 1er trajet du sens, sinon de la ligne
+function trajetForService(service, trajetsByLigne) {
+  const trajets = trajetsByLigne.get(service.ligneId) || [];
+  if (service.template?.trajetId) {
+    const t = trajets.find(x => x.id === service.template.trajetId);
+    if (t) return t;
+  }
+  return trajets.find(t => service.sensId && t.sensId === service.sensId) || trajets[0] || null;
+}
 
-// ========== TRAJETS (Itinéraires) ==========
+// Construit les fichiers du flux GTFS sur [from, to]
+async function buildGtfsFeed(db, range, { agencyUrl }) {
+  const end = new Date(range.to.getTime() + DAY_MS);
+  const [lignes, trajets, services] = await Promise.all([
+    db.ligne.findMany({ where: { statut: 'Actif' }, include: { sens: true }, orderBy: { numero: 'asc' } }),
+    db.trajet.findMany({ where: { statut: 'Actif' }, include: { arrets: { orderBy: { ordre: 'asc' }, include: { stop: true } } }, orderBy: { ordre: 'asc' } }),
+    db.service.findMany({
+      where: { date: { gte: range.from, lt: end }, statut: { not: 'Annulée' }, ligne: { statut: 'Actif' } },
+      include: { template: true },
+      orderBy: [{ date: 'asc' }, { heureDebut: 'asc' }],
+    }),
+  ]);
+
+  const trajetsByLigne = new Map();
+  for (const t of trajets.filter(t => t.arrets.length >= 2)) {
+    if (!trajetsByLigne.has(t.ligneId)) trajetsByLigne.set(t.ligneId, []);
+    trajetsByLigne.get(t.ligneId).push(t);
+  }
+  const sensById = new Map(lignes.flatMap(l => l.sens.map(se => [se.id, se])));
+
+  // Une course GTFS par course type, sens, horaires et trajet : un service modifié à la main (ou une modification
+  // de course type propagée aux seules dates futures) donne sa propre course
+  const trips = new Map();
+  let skipped = 0;
+  for (const s of services) {
+    const trajet = trajetForService(s, trajetsByLigne);
+    if (!trajet) { skipped++; continue; }
+    const key = `${s.templateId || ''}|${s.ligneId}|${s.sensId || ''}|${s.heureDebut}|${s.heureFin}|${trajet.id}`;
+    if (!trips.has(key)) trips.set(key, { service: s, trajet, days: [] });
+    trips.get(key).days.push(toDayKey(s.date));
+  }
 
-// GET trajets par ligne
-app.get('/api/trajets/ligne/:ligneId', async (req, res) => {
-  try {
-    const trajets = await prisma.trajet.findMany({
-      where: { ligneId: req.params.ligneId },
-      include: { arrets: { orderBy: { ordre: 'asc' } } },
-      orderBy: { ordre: 'asc' }
+  const stops = new Map();
+  const tripRows = [];
+  const stopTimeRows = [];
+  const calendarRows = [];
+  const calendarDateRows = [];
+  let n = 0;
+  for (const { service, trajet, days } of trips.values()) {
+    n++;
+    const tripId = `T${n}`;
+    const serviceId = `S${n}`;
+    const sens = sensById.get(service.sensId);
+    tripRows.push({
+      route_id: service.ligneId,
+      service_id: serviceId,
+      trip_id: tripId,
+      trip_headsign: sens?.direction || trajet.arrets[trajet.arrets.length - 1].nom,
+      direction_id: sens ? (sens.ordre > 1 ? 1 : 0) : '',
     });
-    res.json(trajets);
-  } catch (e) {
-    console.error('GET /api/trajets/ligne/:ligneId ERROR ->', e);
-    res.status(400).json({ error: String(e) });
+    stopTimesFor(service.heureDebut, trajet.arrets).forEach(({ arret, minutes }, i) => {
+      // Point d'arrêt partagé -> stop_id = code du registre ; sinon arrêt propre au trajet
+      const stopId = arret.stop?.code || arret.id;
+      if (!stops.has(stopId)) stops.set(stopId, { ...(arret.stop || arret), trajets: new Set() });
+      stops.get(stopId).trajets.add(trajet.nom);
+      stopTimeRows.push({
+        trip_id: tripId,
+        arrival_time: gtfsTime(minutes),
+        departure_time: gtfsTime(minutes),
+        stop_id: stopId,
+        stop_sequence: i + 1,
+      });
+    });
+    const { calendar, exceptions } = gtfsCalendarFor(serviceId, days, range);
+    calendarRows.push(calendar);
+    calendarDateRows.push(...exceptions);
   }
-});
 
-// POST créer trajet
-app.post('/api/trajets', async (req, res) => {
+  // stop_lat / stop_lon sont obligatoires : arrêt sans point d'arrêt géolocalisé -> export refusé, arrêts listés
+  const sansCoordonnees = [...stops.entries()]
+    .filter(([, st]) => st.latitude == null || st.longitude == null)
+    .map(([id, st]) => ({ stopId: id, code: st.code || null, nom: st.nom, trajets: [...st.trajets] }));
+  if (sansCoordonnees.length) {
+    const error = new Error(`${sansCoordonnees.length} arrêt(s) sans coordonnées (point d'arrêt non rattaché ou non géolocalisé) : export GTFS impossible`);
+    error.status = 422;
+    error.arrets = sansCoordonnees;
+    throw error;
+  }
+
+  const usedLignes = new Set(tripRows.map(t => t.route_id));
+  const files = [
+    {
+      name: 'agency.txt',
+      content: toCsv(['agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_lang'], [{
+        agency_id: 'TCE',
+        agency_name: process.env.GTFS_AGENCY_NAME || 'Voyages TC Essonnes',
+        agency_url: agencyUrl,
+        agency_timezone: 'Europe/Paris',
+        agency_lang: 'fr',
+      }]),
+    },
+    {
+      name: 'routes.txt',
+      content: toCsv(['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type'],
+        lignes.filter(l => usedLignes.has(l.id)).map(l => ({
+          route_id: l.id, agency_id: 'TCE', route_short_name: l.numero, route_long_name: l.nom, route_type: 3,
+        }))),
+    },
+    {
+      name: 'stops.txt',
+      content: toCsv(['stop_id', 'stop_code', 'stop_name', 'stop_desc', 'stop_lat', 'stop_lon', 'wheelchair_boarding'],
+        [...stops.entries()].map(([id, st]) => ({
+          stop_id: id,
+          stop_code: st.code || '',
+          stop_name: st.nom,
+          stop_desc: st.adresse || '',
+          stop_lat: st.latitude,
+          stop_lon: st.longitude,
+          wheelchair_boarding: st.code ? (st.accessiblePMR ? 1 : 2) : 0,
+        }))),
+    },
+    { name: 'trips.txt', content: toCsv(['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id'], tripRows) },
+    { name: 'stop_times.txt', content: toCsv(['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'], stopTimeRows) },
+    {
+      name: 'calendar.txt',
+      content: toCsv(['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'], calendarRows),
+    },
+    { name: 'calendar_dates.txt', content: toCsv(['service_id', 'date', 'exception_type'], calendarDateRows) },
+  ];
+  return { files, stats: { trips: tripRows.length, stops: stops.size, services: services.length, skipped } };
+}
+
+// EXPORT ?from=&to= (défaut : 30 jours à partir d'aujourd'hui) -> gtfs.zip ; 422 avec la liste des arrêts sans coordonnées
+app.get('/api/export/gtfs', async (req, res) => {
   try {
-    const b = req.body;
-    if (!b.ligneId || !b.nom) {
-      return res.status(400).json({ error: 'Missing fields: ligneId, nom' });
+    const today = getTodayDateParis();
+    const defaultTo = toDayKey(new Date(new Date(`${today}T00:00:00.000Z`).getTime() + 29 * DAY_MS));
+    const range = parseDayRange({ from: req.query.from || today, to: req.query.to || defaultTo });
+    if (!range) return res.status(400).json({ error: 'Paramètres from/to invalides (YYYY-MM-DD, from <= to)' });
+    if ((range.to - range.from) / DAY_MS >= GENERATION_MAX_JOURS) {
+      return res.status(400).json({ error: `Période limitée à ${GENERATION_MAX_JOURS} jours` });
     }
 
-    const trajet = await prisma.trajet.create({
-      data: {
-        ligneId: b.ligneId,
-        sensId: b.sensId || null,
-        nom: b.nom,
-        description: b.description || null,
-        ordre: b.ordre || 1,
-        statut: b.statut || 'Actif'
-      },
-      include: { arrets: true }
-    });
+    const agencyUrl = process.env.GTFS_AGENCY_URL || `${req.protocol}://${req.get('host')}`;
+    const { files, stats } = await buildGtfsFeed(prisma, range, { agencyUrl });
+    const zip = buildZip(files);
 
-    res.json(trajet);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="gtfs-${gtfsDate(range.from)}-${gtfsDate(range.to)}.zip"`);
+    res.setHeader('X-GTFS-Trips', String(stats.trips));
+    res.setHeader('X-GTFS-Skipped-Services', String(stats.skipped));
+    res.send(zip);
   } catch (e) {
-    console.error('POST /api/trajets ERROR ->', e);
+    console.error('GET /api/export/gtfs ERROR ->', e);
+    if (e.arrets) return res.status(e.status).json({ error: e.message, arrets: e.arrets });
     res.status(400).json({ error: String(e) });
   }
 });
 
-// PUT modifier trajet
-app.put('/api/trajets/:id', async (req, res) => {
-  try {
-    const b = req.body;
-    const data = {
-      nom: b.nom ?? undefined,
-      description: b.description ?? undefined,
-      sensId: b.sensId ?? undefined,
-      ordre: b.ordre ?? undefined,
-      statut: b.statut ?? undefined
-    };
+// ========== IMPORT GTFS ==========
 
-    const trajet = await prisma.trajet.update({
-      where: { id: req.params.id },
-      data,
-      include: { arrets: { orderBy: { ordre: 'asc' } } }
+const GTFS_JOURS = { monday: 'lundi', tuesday: 'mardi', wednesday: 'mercredi', thursday: 'jeudi', friday: 'vendredi', saturday: 'samedi', sunday: 'dimanche' };
+// route_type GTFS -> type de véhicule (3 = bus, 200 = autocar)
+const GTFS_ROUTE_TYPES = { 3: 'Autobus', 200: 'Autocar', 700: 'Autobus', 701: 'Autobus', 702: 'Autobus', 704: 'Minibus' };
+
+// "25:10:00" -> minutes depuis le début du jour de service
+function gtfsTimeToMinutes(val) {
+  const [h, m] = String(val || '').split(':').map(Number);
+  return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : null;
+}
+
+// minutes -> "HH:mm" (modulo 24h : un service qui finit après minuit a heureFin < heureDebut)
+function minutesToHeure(min) {
+  const m = ((min % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+const gtfsDay = (yyyymmdd) => (yyyymmdd ? `${yyyymmdd.slice(0, 4)}-${yyyymmdd.slice(4, 6)}-${yyyymmdd.slice(6, 8)}` : null);
+
+// calendar_dates.txt -> calendriers d'exception d'une ligne : [{ debut, fin, mode, templates }]
+// Pour chaque date d'exception, les service_id de la ligne qui circulent sont comparés à ceux prévus par calendar.txt :
+// - plus aucun -> règle "ne_circule_pas" ;
+// - un autre ensemble (férié au régime du dimanche, suppression partielle, dates ajoutées) -> règle "special"
+//   avec les courses types des service_id qui circulent.
+// Seul un service_id ajouté hors de sa période calendar.txt n'a pas d'équivalent et fait refuser le flux
+function gtfsLigneExceptions(ligne, calendars, calendarDates, serviceDays) {
+  const runsNormally = (serviceId, yyyymmdd) => {
+    const c = calendars.get(serviceId);
+    if (!c || yyyymmdd < c.start_date || yyyymmdd > c.end_date) return false;
+    const weekday = Object.keys(GTFS_JOURS)[(new Date(`${gtfsDay(yyyymmdd)}T00:00:00.000Z`).getUTCDay() + 6) % 7];
+    return c[weekday] === '1';
+  };
+  const changesByDate = new Map();
+  for (const cd of calendarDates) {
+    if (!ligne.serviceIds.has(cd.service_id) || !['1', '2'].includes(cd.exception_type)) continue;
+    if (!changesByDate.has(cd.date)) changesByDate.set(cd.date, new Map());
+    changesByDate.get(cd.date).set(cd.service_id, cd.exception_type === '1');
+  }
+
+  const days = [];
+  const conflicts = [];
+  for (const date of [...changesByDate.keys()].sort()) {
+    const changes = changesByDate.get(date);
+    const day = gtfsDay(date);
+    const planned = [...ligne.serviceIds].filter(id => runsNormally(id, date));
+    const running = [...ligne.serviceIds].filter(id => (changes.has(id) ? changes.get(id) : runsNormally(id, date)));
+    if (running.length === planned.length && running.every(id => planned.includes(id))) continue;
+    // Un jour "special" ne retient que les courses types valides ce jour-là
+    const outside = running.filter(id => {
+      const validite = serviceDays.get(id);
+      return !validite || day < validite.valideDu || day > validite.valideAu;
     });
+    if (outside.length) {
+      conflicts.push(`ligne ${ligne.numero} le ${day} (hors période calendar.txt : ${outside.join(', ')})`);
+    } else {
+      days.push({ day, mode: running.length ? 'special' : 'ne_circule_pas', serviceIds: running.sort() });
+    }
+  }
+  if (conflicts.length) {
+    throw new Error(
+      'calendar_dates.txt : exceptions non transposables en calendriers d\'exception '
+      + '(service_id ajouté en dehors de sa période calendar.txt) : '
+      + conflicts.slice(0, 10).join(' ; ') + (conflicts.length > 10 ? ` ; ... (+${conflicts.length - 10})` : '')
+    );
+  }
 
-    res.json(trajet);
-  } catch (e) {
-    console.error('PUT /api/trajets/:id ERROR ->', e);
-    res.status(400).json({ error: String(e) });
+  // Jours consécutifs au même régime -> une seule période
+  const exceptions = [];
+  for (const d of days) {
+    const last = exceptions[exceptions.length - 1];
+    const signature = `${d.mode}|${d.serviceIds.join(',')}`;
+    if (last && last.signature === signature && toDayKey(new Date(new Date(`${last.fin}T00:00:00.000Z`).getTime() + DAY_MS)) === d.day) {
+      last.fin = d.day;
+    } else {
+      exceptions.push({ signature, debut: d.day, fin: d.day, mode: d.mode, serviceIds: d.serviceIds });
+    }
   }
-});
+  return exceptions.map(({ signature, serviceIds, ...ex }) => ({
+    ...ex,
+    templates: [...ligne.templates.values()].filter(t => t.serviceIds.some(id => serviceIds.includes(id))),
+  }));
+}
 
-// DELETE trajet
-app.delete('/api/trajets/:id', async (req, res) => {
-  try {
-    await prisma.trajet.delete({ where: { id: req.params.id } });
-    res.json({ ok: true });
-  } catch (e) {
-    console.error('DELETE /api/trajets/:id ERROR ->', e);
-    res.status(400).json({ error: String(e) });
+// Zip GTFS -> modèle { lignes: [{ numero, nom, typesVehicules, calendrier, sens, trajets, templates, exceptions }] }
+// direction_id -> Sens ; séquence d'arrêts distincte -> Trajet ; trip -> course type
+function buildGtfsImportModel(zipBuffer) {
+  const files = readZip(zipBuffer);
+  const read = (name, required) => {
+    const entry = [...files.keys()].find(k => k === name || k.endsWith(`/${name}`));
+    if (!entry) {
+      if (required) throw new Error(`Fichier GTFS manquant : ${name}`);
+      return [];
+    }
+    return csvObjects(files.get(entry).toString('utf8'));
+  };
+  const routes = read('routes.txt', true);
+  const trips = read('trips.txt', true);
+  const stopTimes = read('stop_times.txt', true);
+  const stopsById = new Map(read('stops.txt', true).map(st => [st.stop_id, st]));
+  const calendars = new Map(read('calendar.txt').map(c => [c.service_id, c]));
+  const calendarDates = read('calendar_dates.txt');
+
+  // Jours et validité de chaque service_id (calendar.txt, sinon aucun jour de semaine et enveloppe des dates ajoutées
+  // de calendar_dates.txt : ces courses types ne circulent alors qu'au travers des règles "special" de gtfsLigneExceptions)
+  const serviceDays = new Map();
+  for (const [id, c] of calendars) {
+    const jours = Object.fromEntries(Object.entries(GTFS_JOURS).map(([en, fr]) => [fr, c[en] === '1']));
+    serviceDays.set(id, { jours, valideDu: gtfsDay(c.start_date), valideAu: gtfsDay(c.end_date) });
+  }
+  for (const cd of calendarDates.filter(cd => cd.exception_type === '1' && !calendars.has(cd.service_id))) {
+    const day = gtfsDay(cd.date);
+    const entry = serviceDays.get(cd.service_id) || { jours: Object.fromEntries(JOURS_SEMAINE.map(j => [j, false])), valideDu: day, valideAu: day };
+    if (day < entry.valideDu) entry.valideDu = day;
+    if (day > entry.valideAu) entry.valideAu = day;
+    serviceDays.set(cd.service_id, entry);
   }
-});
 
-// ========== ARRÊTS (Stops) ==========
+  const exceptionServiceIds = new Set(calendarDates.map(cd => cd.service_id));
 
-// GET arrêts par trajet
-app.get('/api/arrets/trajet/:trajetId', async (req, res) => {
-  try {
-    const arrets = await prisma.arret.findMany({
-      where: { trajetId: req.params.trajetId },
-      orderBy: { ordre: 'asc' }
+  const timesByTrip = new Map();
+  for (const st of stopTimes) {
+    if (!timesByTrip.has(st.trip_id)) timesByTrip.set(st.trip_id, []);
+    timesByTrip.get(st.trip_id).push(st);
+  }
+  for (const list of timesByTrip.values()) list.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+
+  const lignes = new Map();
+  for (const r of routes) {
+    const numero = r.route_short_name || r.route_id;
+    lignes.set(r.route_id, {
+      numero,
+      nom: r.route_long_name || numero,
+      typesVehicules: [GTFS_ROUTE_TYPES[Number(r.route_type)] || 'Autobus'],
+      calendrier: Object.fromEntries(JOURS_SEMAINE.map(j => [j, false])),
+      sens: new Map(),
+      trajets: new Map(),
+      templates: new Map(),
+      serviceIds: new Set(),
     });
-    res.json(arrets);
-  } catch (e) {
-    console.error('GET /api/arrets/trajet/:trajetId ERROR ->', e);
-    res.status(400).json({ error: String(e) });
   }
-});
 
-// POST créer arrêt
-app.post('/api/arrets', async (req, res) => {
-  try {
-    const b = req.body;
-    if (!b.trajetId || !b.nom) {
-      return res.status(400).json({ error: 'Missing fields: trajetId, nom' });
+  for (const trip of trips) {
+    const ligne = lignes.get(trip.route_id);
+    const times = timesByTrip.get(trip.trip_id) || [];
+    if (!ligne || times.length < 2) continue;
+
+    const direction = trip.direction_id === '1' ? 1 : 0;
+    const sensNom = direction === 1 ? 'Retour' : 'Aller';
+    if (!ligne.sens.has(sensNom)) ligne.sens.set(sensNom, { nom: sensNom, ordre: direction + 1, headsigns: new Map() });
+    const sens = ligne.sens.get(sensNom);
+    if (trip.trip_headsign) sens.headsigns.set(trip.trip_headsign, (sens.headsigns.get(trip.trip_headsign) || 0) + 1);
+
+    // Trajet = séquence d'arrêts ; temps entre arrêts pris sur la 1re course rencontrée
+    const signature = `${direction}|${times.map(t => t.stop_id).join('>')}`;
+    if (!ligne.trajets.has(signature)) {
+      const names = times.map(t => stopsById.get(t.stop_id)?.stop_name || t.stop_id);
+      let nom = `${names[0]} → ${names[names.length - 1]}`;
+      const taken = new Set([...ligne.trajets.values()].map(t => t.nom));
+      for (let k = 2; taken.has(nom); k++) nom = `${names[0]} → ${names[names.length - 1]} (${k})`;
+      ligne.trajets.set(signature, {
+        nom,
+        sensNom,
+        arrets: times.map((t, i) => {
+          const prev = i > 0 ? gtfsTimeToMinutes(times[i - 1].departure_time || times[i - 1].arrival_time) : null;
+          const cur = gtfsTimeToMinutes(t.arrival_time || t.departure_time);
+          const stop = stopsById.get(t.stop_id);
+          return {
+            stopCode: (stop?.stop_code || t.stop_id).toUpperCase(),
+            nom: stop?.stop_name || t.stop_id,
+            adresse: stop?.stop_desc || null,
+            ordre: i + 1,
+            tempsArriveeAntecedent: i > 0 && prev != null && cur != null ? Math.max(cur - prev, 0) : 0,
+          };
+        }),
+      });
     }
 
-    // Calculer automatiquement le prochain numéro d'ordre si non fourni
-    let ordre = b.ordre;
-    if (ordre === undefined || ordre === null) {
-      const maxOrdre = await prisma.arret.aggregate({
-        where: { trajetId: b.trajetId },
-        _max: { ordre: true }
+    const debut = gtfsTimeToMinutes(times[0].departure_time || times[0].arrival_time);
+    const fin = gtfsTimeToMinutes(times[times.length - 1].arrival_time || times[times.length - 1].departure_time);
+    if (debut == null || fin == null) continue;
+    const days = serviceDays.get(trip.service_id) || { jours: null, valideDu: null, valideAu: null };
+    if (days.jours) for (const [j, on] of Object.entries(days.jours)) if (on) ligne.calendrier[j] = true;
+    ligne.serviceIds.add(trip.service_id);
+
+    const template = {
+      sensNom,
+      trajetNom: ligne.trajets.get(signature).nom,
+      heureDebut: minutesToHeure(debut),
+      heureFin: minutesToHeure(fin),
+      valideDu: days.valideDu,
+      valideAu: days.valideAu,
+      joursJson: days.jours ? JSON.stringify(days.jours) : null,
+      serviceIds: [],
+    };
+    // Un service_id avec des dates d'exception garde ses propres courses types (cibles des règles de calendrier)
+    const key = [template.sensNom, template.trajetNom, template.heureDebut, template.heureFin, template.joursJson, template.valideDu, template.valideAu,
+      exceptionServiceIds.has(trip.service_id) ? trip.service_id : ''].join('|');
+    if (!ligne.templates.has(key)) ligne.templates.set(key, template);
+    const entry = ligne.templates.get(key);
+    if (!entry.serviceIds.includes(trip.service_id)) entry.serviceIds.push(trip.service_id);
+  }
+
+  for (const ligne of lignes.values()) ligne.exceptions = gtfsLigneExceptions(ligne, calendars, calendarDates, serviceDays);
+
+  // Points d'arrêt desservis -> registre (code = stop_code, sinon stop_id)
+  const usedStops = new Set([...lignes.values()].flatMap(l => [...l.trajets.values()].flatMap(t => t.arrets.map(a => a.stopCode))));
+  const stops = [];
+  for (const st of stopsById.values()) {
+    const code = (st.stop_code || st.stop_id).toUpperCase();
+    if (!usedStops.has(code)) continue;
+    const lat = parseFloat(st.stop_lat);
+    const lon = parseFloat(st.stop_lon);
+    stops.push({
+      code,
+      nom: st.stop_name || code,
+      adresse: st.stop_desc || null,
+      latitude: Number.isFinite(lat) ? lat : null,
+      longitude: Number.isFinite(lon) ? lon : null,
+      accessiblePMR: st.wheelchair_boarding === '1',
+    });
+  }
+
+  return {
+    stops,
+    lignes: [...lignes.values()].filter(l => l.trajets.size).map(({ serviceIds, ...l }) => ({
+      ...l,
+      sens: [...l.sens.values()].map(({ headsigns, ...se }) => ({
+        ...se,
+        direction: [...headsigns.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null,
+      })),
+      trajets: [...l.trajets.values()],
+      templates: [...l.templates.values()],
+    })),
+  };
+}
+
+function emptyImportReport() {
+  const bucket = () => ({ create: [], update: [], unchanged: 0 });
+  return { stops: bucket(), lignes: bucket(), sens: bucket(), trajets: bucket(), arrets: bucket(), templates: bucket(), exceptions: bucket() };
+}
+
+// Périodes de calendrier créées par l'import GTFS (remplacées à chaque import)
+const GTFS_PERIODE_COMMENTAIRE = 'Import GTFS (calendar_dates.txt)';
+
+// Période "exceptionnel" d'import GTFS couvrant [debut, fin] (partagée entre les lignes)
+async function findOrCreateGtfsPeriode(db, { debut, fin }) {
+  const dateDebut = new Date(`${debut}T00:00:00.000Z`);
+  const dateFin = new Date(`${fin}T00:00:00.000Z`);
+  const existing = await db.periodeCalendrier.findFirst({ where: { commentaire: GTFS_PERIODE_COMMENTAIRE, dateDebut, dateFin } });
+  if (existing) return existing;
+  return db.periodeCalendrier.create({
+    data: {
+      nom: debut === fin ? `GTFS ${debut}` : `GTFS ${debut} → ${fin}`,
+      type: 'exceptionnel',
+      dateDebut,
+      dateFin,
+      commentaire: GTFS_PERIODE_COMMENTAIRE,
+    },
+  });
+}
+
+// Compare le modèle GTFS à la base et applique si !dryRun -> rapport { create, update, unchanged } par entité
+async function syncGtfsModel(db, model, { dryRun }) {
+  const report = emptyImportReport();
+  const diff = (current, wanted) => Object.entries(wanted)
+    .filter(([k, v]) => (current[k] ?? null) !== (v ?? null))
+    .map(([k, v]) => ({ champ: k, avant: current[k] ?? null, apres: v ?? null }));
+
+  const stopIds = new Map();
+  const templateIds = new Map(); // course type du modèle -> id en base
+  for (const { code, ...wanted } of model.stops) {
+    let stop = await db.stop.findUnique({ where: { code } });
+    if (!stop) {
+      report.stops.create.push({ code, ...wanted });
+      if (!dryRun) stop = await db.stop.create({ data: { code, ...wanted } });
+    } else {
+      const changes = diff(stop, wanted);
+      if (changes.length) {
+        report.stops.update.push({ code, changes });
+        if (!dryRun) stop = await db.stop.update({ where: { id: stop.id }, data: wanted });
+      } else report.stops.unchanged++;
+    }
+    stopIds.set(code, stop?.id || null);
+  }
+  const arretData = ({ stopCode, ...a }) => ({ ...a, stopId: stopIds.get(stopCode) || null });
+
+  for (const l of model.lignes) {
+    const wanted = { nom: l.nom, typesVehicules: JSON.stringify(l.typesVehicules), calendrierJson: JSON.stringify(l.calendrier) };
+    let ligne = await db.ligne.findUnique({ where: { numero: l.numero } });
+    if (!ligne) {
+      report.lignes.create.push({ numero: l.numero, ...wanted });
+      if (!dryRun) ligne = await db.ligne.create({ data: { numero: l.numero, statut: 'Actif', ...wanted } });
+    } else {
+      const changes = diff(ligne, wanted);
+      if (changes.length) {
+        report.lignes.update.push({ numero: l.numero, changes });
+        if (!dryRun) ligne = await db.ligne.update({ where: { id: ligne.id }, data: wanted });
+      } else report.lignes.unchanged++;
+    }
+    const ligneId = ligne?.id;
+
+    const sensByNom = new Map();
+    for (const se of l.sens) {
+      let sens = ligneId ? await db.sens.findUnique({ where: { ligneId_nom: { ligneId, nom: se.nom } } }) : null;
+      const wantedSens = { direction: se.direction, ordre: se.ordre };
+      if (!sens) {
+        report.sens.create.push({ ligne: l.numero, nom: se.nom, ...wantedSens });
+        if (!dryRun) sens = await db.sens.create({ data: { ligneId, nom: se.nom, statut: 'Actif', ...wantedSens } });
+      } else {
+        const changes = diff(sens, wantedSens);
+        if (changes.length) {
+          report.sens.update.push({ ligne: l.numero, nom: se.nom, changes });
+          if (!dryRun) sens = await db.sens.update({ where: { id: sens.id }, data: wantedSens });
+        } else report.sens.unchanged++;
+      }
+      sensByNom.set(se.nom, sens);
+    }
+
+    const trajetByNom = new Map();
+    for (const t of l.trajets) {
+      const sensId = sensByNom.get(t.sensNom)?.id || null;
+      let trajet = ligneId
+        ? await db.trajet.findUnique({ where: { ligneId_nom: { ligneId, nom: t.nom } }, include: { arrets: { orderBy: { ordre: 'asc' } } } })
+        : null;
+      if (!trajet) {
+        report.trajets.create.push({ ligne: l.numero, nom: t.nom, arrets: t.arrets.length });
+        report.arrets.create.push(...t.arrets.map(a => ({ ligne: l.numero, trajet: t.nom, ...a })));
+        if (!dryRun) {
+          trajet = await db.trajet.create({ data: { ligneId, sensId, nom: t.nom, statut: 'Actif' } });
+          await db.arret.createMany({ data: t.arrets.map(a => ({ trajetId: trajet.id, ...arretData(a) })) });
+        }
+      } else {
+        if (trajet.sensId !== sensId) {
+          report.trajets.update.push({ ligne: l.numero, nom: t.nom, changes: [{ champ: 'sensId', avant: trajet.sensId, apres: sensId }] });
+          if (!dryRun) await db.trajet.update({ where: { id: trajet.id }, data: { sensId } });
+        } else report.trajets.unchanged++;
+
+        const existing = new Map(trajet.arrets.map(a => [a.ordre, a]));
+        for (const a of t.arrets) {
+          const cur = existing.get(a.ordre);
+          existing.delete(a.ordre);
+          if (!cur) {
+            report.arrets.create.push({ ligne: l.numero, trajet: t.nom, ...a });
+            if (!dryRun) await db.arret.create({ data: { trajetId: trajet.id, ...arretData(a) } });
+            continue;
+          }
+          const { stopId, nom, tempsArriveeAntecedent } = arretData(a);
+          // En simulation, un point d'arrêt encore à créer n'a pas d'id : seul le nom est comparé
+          const changes = diff(cur, dryRun && !stopId ? { nom, tempsArriveeAntecedent } : { stopId, nom, tempsArriveeAntecedent });
+          if (changes.length) {
+            report.arrets.update.push({ ligne: l.numero, trajet: t.nom, ordre: a.ordre, changes });
+            if (!dryRun) await db.arret.update({ where: { id: cur.id }, data: { stopId, nom, tempsArriveeAntecedent } });
+          } else report.arrets.unchanged++;
+        }
+        // Arrêts en trop (séquence raccourcie) : supprimés
+        for (const extra of existing.values()) {
+          report.arrets.update.push({ ligne: l.numero, trajet: t.nom, ordre: extra.ordre, changes: [{ champ: 'suppression', avant: extra.nom, apres: null }] });
+          if (!dryRun) await db.arret.delete({ where: { id: extra.id } });
+        }
+      }
+      trajetByNom.set(t.nom, trajet);
+    }
+
+    for (const tpl of l.templates) {
+      const sensId = sensByNom.get(tpl.sensNom)?.id;
+      const trajetId = trajetByNom.get(tpl.trajetNom)?.id || null;
+      const data = {
+        heureDebut: tpl.heureDebut,
+        heureFin: tpl.heureFin,
+        joursJson: tpl.joursJson,
+        valideDu: tpl.valideDu ? new Date(`${tpl.valideDu}T00:00:00.000Z`) : null,
+        valideAu: tpl.valideAu ? new Date(`${tpl.valideAu}T00:00:00.000Z`) : null,
+      };
+      const existing = sensId
+        ? await db.serviceTemplate.findFirst({ where: { ligneId, sensId, trajetId, ...data } })
+        : null;
+      if (existing) {
+        templateIds.set(tpl, existing.id);
+        report.templates.unchanged++;
+        continue;
+      }
+      report.templates.create.push({ ligne: l.numero, sens: tpl.sensNom, trajet: tpl.trajetNom, ...tpl });
+      if (!dryRun) templateIds.set(tpl, (await db.serviceTemplate.create({ data: { ligneId, sensId, trajetId, ...data } })).id);
+    }
+
+    // Calendriers d'exception (calendar_dates.txt) : règles de la ligne sur des périodes "exceptionnel" propres à l'import
+    // En simulation, une règle visant une course type encore à créer apparaît toujours comme à créer
+    const signature = (debut, fin, mode, ids) => [debut, fin, mode, [...ids].sort().join(',')].join('|');
+    const current = ligneId
+      ? await db.regleCalendrierLigne.findMany({ where: { ligneId, periode: { commentaire: GTFS_PERIODE_COMMENTAIRE } }, include: { periode: true } })
+      : [];
+    const currentBySignature = new Map(current.map(r => [
+      signature(toDayKey(r.periode.dateDebut), toDayKey(r.periode.dateFin), r.mode, parseJsonArray(r.templateIdsJson)), r,
+    ]));
+    for (const ex of l.exceptions) {
+      const ids = ex.templates.map(t => templateIds.get(t));
+      if (currentBySignature.delete(signature(ex.debut, ex.fin, ex.mode, ids))) {
+        report.exceptions.unchanged++;
+        continue;
+      }
+      report.exceptions.create.push({
+        ligne: l.numero, debut: ex.debut, fin: ex.fin, mode: ex.mode,
+        courses: ex.templates.map(t => `${t.sensNom} ${t.heureDebut}-${t.heureFin}`),
       });
-      ordre = (maxOrdre._max.ordre || 0) + 1;
+      if (dryRun) continue;
+      const periode = await findOrCreateGtfsPeriode(db, ex);
+      await db.regleCalendrierLigne.create({
+        data: { ligneId, periodeId: periode.id, mode: ex.mode, templateIdsJson: ids.length ? JSON.stringify(ids) : null },
+      });
+    }
+    for (const r of currentBySignature.values()) {
+      report.exceptions.update.push({
+        ligne: l.numero, debut: toDayKey(r.periode.dateDebut), fin: toDayKey(r.periode.dateFin),
+        changes: [{ champ: 'suppression', avant: r.mode, apres: null }],
+      });
+      if (!dryRun) await db.regleCalendrierLigne.delete({ where: { id: r.id } });
     }
+  }
+  // Périodes d'import devenues sans règle
+  if (!dryRun) await db.periodeCalendrier.deleteMany({ where: { commentaire: GTFS_PERIODE_COMMENTAIRE, regles: { none: {} } } });
 
-    const arret = await prisma.arret.create({
-      data: {
-        trajetId: b.trajetId,
-        nom: b.nom,
-        adresse: b.adresse || null,
-        ordre: ordre,
-        tempsArriveeAntecedent: b.tempsArriveeAntecedent || 0
+  const counts = Object.fromEntries(Object.entries(report).map(([k, v]) => [k, { create: v.create.length, update: v.update.length, unchanged: v.unchanged }]));
+  return { counts, report };
+}
+
+// IMPORT GTFS : corps = zip (application/zip) ou fichier zip en multipart ; ?dryRun=true pour le rapport de différences sans rien écrire
+// Le zip d'un import réel est conservé comme artefact d'import
+app.post(
+  '/api/import/gtfs',
+  requireRole(...ROLES_EXPLOITATION),
+  multipartUpload,
+  express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'], limit: UPLOAD_LIMITS.fileSize }),
+  async (req, res) => {
+    try {
+      const files = uploadedFiles(req, 'gtfs.zip');
+      const file = files.find(f => /\.zip$/i.test(f.filename)) || files[0];
+      if (!file || !Buffer.isBuffer(file.buffer) || !file.buffer.length) {
+        return res.status(400).json({ error: 'Aucun fichier GTFS (zip) fourni' });
       }
-    });
+      const dryRun = String(req.query.dryRun) === 'true';
+      const model = buildGtfsImportModel(file.buffer);
+      if (!model.lignes.length) return res.status(400).json({ error: 'Aucune ligne exploitable dans le flux GTFS' });
+
+      const artifacts = dryRun ? [] : await saveImportArtifacts(prisma, 'gtfs', [file], authorOf(req));
+      const job = await startImportJob(prisma, { importType: 'gtfs', dryRun, artifacts, author: authorOf(req) });
+      try {
+        const result = dryRun
+          ? await syncGtfsModel(prisma, model, { dryRun: true })
+          : await prisma.$transaction((tx) => syncGtfsModel(tx, model, { dryRun: false }), { timeout: IMPORT_TRANSACTION_TIMEOUT_MS });
+        await finishImportJob(prisma, job, { statut: dryRun ? 'Simulé' : 'Terminé', result });
+        await closeImportArtifacts(prisma, artifacts, 'Importé', { importJobId: job.id, counts: result.counts });
+        res.status(dryRun ? 200 : 201).json({ importJobId: job.id, dryRun, ...result, artifacts: artifacts.map(a => a.id) });
+      } catch (error) {
+        await finishImportJob(prisma, job, { statut: 'Échec', error: error instanceof Error ? error : new Error(String(error)) });
+        await closeImportArtifacts(prisma, artifacts, 'Erreur', { importJobId: job.id, error: error?.message || String(error) });
+        throw error;
+      }
+    } catch (e) {
+      console.error('POST /api/import/gtfs ERROR ->', e);
+      res.status(e?.status || 400).json({ error: e?.message || String(e) });
+    }
+  }
+);
 
-    res.json(arret);
+// IMPORTS EXÉCUTÉS ?importType=&statut=&dryRun= (sans le rapport détaillé)
+app.get('/api/import/jobs', async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.importType) where.importType = req.query.importType;
+    if (req.query.statut) where.statut = req.query.statut;
+    if (req.query.dryRun !== undefined) where.dryRun = req.query.dryRun === 'true';
+    const jobs = await prisma.importJob.findMany({
+      where,
+      select: {
+        id: true, importType: true, dryRun: true, statut: true, countsJson: true, erreur: true,
+        author: true, createdAt: true, finishedAt: true, _count: { select: { artifacts: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(Number(req.query.limit) || 100, 500),
+    });
+    res.json(jobs.map(({ countsJson, ...j }) => ({ ...j, counts: parseJsonObject(countsJson) })));
   } catch (e) {
-    console.error('POST /api/arrets ERROR ->', e);
+    console.error('GET /api/import/jobs ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// PUT modifier arrêt
-app.put('/api/arrets/:id', async (req, res) => {
+// DETAIL d'un import : rapport complet + fichiers reçus
+app.get('/api/import/jobs/:id', async (req, res) => {
   try {
-    const b = req.body;
-    const data = {
-      nom: b.nom ?? undefined,
-      adresse: b.adresse ?? undefined,
-      ordre: b.ordre ?? undefined,
-      tempsArriveeAntecedent: b.tempsArriveeAntecedent ?? undefined
-    };
-
-    const arret = await prisma.arret.update({
+    const job = await prisma.importJob.findUnique({
       where: { id: req.params.id },
-      data
+      include: { artifacts: { select: { id: true, champ: true, nomFichier: true, mimeType: true, taille: true, sha256: true } } },
     });
-
-    res.json(arret);
+    if (!job) return res.status(404).json({ error: 'Not found' });
+    const { countsJson, rapportJson, ...rest } = job;
+    res.json({ ...rest, counts: parseJsonObject(countsJson), ...(parseJsonObject(rapportJson) || {}) });
   } catch (e) {
-    console.error('PUT /api/arrets/:id ERROR ->', e);
+    console.error('GET /api/import/jobs/:id ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// DELETE arrêt
-app.delete('/api/arrets/:id', async (req, res) => {
+// ARTEFACTS D'IMPORT ?importType=&statut= (sans le contenu)
+app.get('/api/import/artifacts', async (req, res) => {
   try {
-    await prisma.arret.delete({ where: { id: req.params.id } });
-    res.json({ ok: true });
+    const where = {};
+    if (req.query.importType) where.importType = req.query.importType;
+    if (req.query.statut) where.statut = req.query.statut;
+    const artifacts = await prisma.importArtifact.findMany({
+      where,
+      select: {
+        id: true, importType: true, champ: true, nomFichier: true, mimeType: true, taille: true,
+        sha256: true, statut: true, resultatJson: true, author: true, createdAt: true,
+      },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(Number(req.query.limit) || 100, 500),
+    });
+    res.json(artifacts.map(({ resultatJson, ...a }) => ({ ...a, resultat: parseJsonObject(resultatJson) })));
   } catch (e) {
-    console.error('DELETE /api/arrets/:id ERROR ->', e);
+    console.error('GET /api/import/artifacts ERROR ->', e);
     res.status(400).json({ error: String(e) });
   }
 });
 
-// ---------- CSV Import Endpoints ----------
+// TÉLÉCHARGER le fichier exact reçu par un import
+app.get('/api/import/artifacts/:id/fichier', async (req, res) => {
+  try {
+    const artifact = await prisma.importArtifact.findUnique({ where: { id: req.params.id } });
+    if (!artifact) return res.status(404).json({ error: 'Not found' });
+    res.attachment(artifact.nomFichier);
+    res.send(Buffer.from(artifact.contenu));
+  } catch (e) {
+    console.error('GET /api/import/artifacts/:id/fichier ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
 
-// Helper: Parse CSV simple (pas de dépendance externe)
-function parseCSV(csvText) {
-  const lines = csvText.trim().split('\n');
-  if (lines.length < 2) throw new Error('CSV vide ou invalide');
+// ========== IMPORT / EXPORT FLOTTE ET PERSONNEL (CSV, XLSX) ==========
+
+// ---------- XLSX (exceljs) ----------
+
+// Classeur d'une feuille : entête en gras et figée ; nombres en cellules numériques, le reste en texte -> Promise<Buffer>
+async function buildXlsx(sheetName, headers, rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31), { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = headers.map(h => ({
+    header: h,
+    width: Math.min(60, Math.max(10, h.length + 2, ...rows.map(r => String(r[h] ?? '').length + 2))),
+  }));
+  sheet.getRow(1).font = { bold: true };
+  for (const r of rows) {
+    sheet.addRow(headers.map((h) => {
+      const v = r[h];
+      if (typeof v === 'number' && Number.isFinite(v)) return v;
+      return v == null || v === '' ? null : String(v);
+    }));
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
 
-  // Détecter les sections [LIGNES], [ARRETS], etc.
-  const sections = {};
-  let currentSection = 'LIGNES'; // Section par défaut
-  let currentLines = [];
+// Valeur de cellule exceljs -> texte (date -> AAAA-MM-JJ, formule -> son résultat, texte riche / lien -> texte)
+function xlsxCellText(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return toDayKey(value);
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(t => t.text).join('');
+  if ('result' in value) return xlsxCellText(value.result);
+  if ('text' in value) return xlsxCellText(value.text);
+  return '';
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Vérifier si c'est une entête de section
-    if (line.startsWith('[') && line.endsWith(']')) {
-      // Sauvegarder la section précédente
-      if (currentLines.length > 0) {
-        sections[currentSection] = parseCSVLines(currentLines);
-      }
-      currentSection = line.slice(1, -1); // Retirer [ et ]
-      currentLines = [];
-    } else if (line) {
-      currentLines.push(line);
-    }
+// 1re feuille d'un classeur .xlsx -> enregistrements (tableaux de chaînes, record.line = n° de ligne Excel)
+async function readXlsxRecords(buffer) {
+  // JSZip (dans exceljs) décompresse chaque entrée en entier avant tout contrôle : l'archive est d'abord dépaquetée
+  // par readZip (tailles annoncées vérifiées, fflate s'y arrête), puis re-compressée pour exceljs
+  const files = readZip(buffer);
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buildZip([...files].map(([name, content]) => ({ name, content }))));
+  } catch (e) {
+    throw new Error(`Classeur XLSX invalide (${e.message})`);
   }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw new Error('Classeur XLSX invalide (aucune feuille)');
+
+  const records = [];
+  sheet.eachRow((row, rowNumber) => {
+    const record = [];
+    for (let col = 1; col <= row.cellCount; col++) record.push(xlsxCellText(row.getCell(col).value));
+    record.line = rowNumber;
+    if (record.some(v => v.trim() !== '')) records.push(record);
+  });
+  return records;
+}
 
-  // Sauvegarder la dernière section
-  if (currentLines.length > 0) {
-    sections[currentSection] = parseCSVLines(currentLines);
+// Fichier CSV ou XLSX (détecté à la signature zip "PK") -> { headers, labels, rows, lines, headerLine, format }
+async function readSpreadsheet(file) {
+  const isXlsx = file.buffer[0] === 0x50 && file.buffer[1] === 0x4b;
+  if (!isXlsx) {
+    const parsed = parseCSV(file.buffer, { defaultSection: 'DONNEES' });
+    const section = Object.values(parsed.sections).find(se => se.headers.length) || { headers: [], labels: [], rows: [], lines: [] };
+    return { ...section, format: { fichier: file.filename, type: 'csv', delimiter: parsed.delimiter, encoding: parsed.encoding } };
   }
-
-  return sections;
+  const [header, ...records] = await readXlsxRecords(file.buffer);
+  if (!header || !records.length) throw new Error('Classeur vide ou invalide');
+  const labels = header.map(h => String(h).trim());
+  const headers = labels.map(normalizeCsvHeader);
+  return {
+    headers,
+    labels,
+    headerLine: header.line,
+    rows: records.map(r => Object.fromEntries(headers.map((h, i) => [h, String(r[i] ?? '').trim()]).filter(([h]) => h))),
+    lines: records.map(r => r.line),
+    format: { fichier: file.filename, type: 'xlsx' },
+  };
 }
 
-function parseCSVLines(lines) {
-  if (lines.length < 1) return { headers: [], rows: [] };
+// ---------- Colonnes des fichiers ----------
 
-  const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-  const rows = [];
+// Date saisie dans Excel (numéro de série, base 30/12/1899) ou texte (AAAA-MM-JJ, JJ/MM/AAAA)
+function parseSheetDate(v) {
+  if (/^\d{4,5}(\.\d+)?$/.test(v)) return new Date(Date.UTC(1899, 11, 30) + Math.round(Number(v) * DAY_MS));
+  const d = parseDateFlexible(v);
+  if (!d || isNaN(d.getTime())) throw new Error('date invalide (AAAA-MM-JJ ou JJ/MM/AAAA)');
+  return d;
+}
 
-  for (let i = 1; i < lines.length; i++) {
-    if (!lines[i].trim()) continue;
-    
-    const values = lines[i].split(',').map(v => v.trim());
-    const row = {};
-    headers.forEach((header, index) => {
-      row[header] = values[index] || '';
-    });
-    rows.push(row);
-  }
+const SHEET_TRUE = ['oui', 'o', 'vrai', 'true', 'yes', 'x', '1'];
+const SHEET_FALSE = ['non', 'n', 'faux', 'false', 'no', '0'];
+
+// Conversion cellule <-> valeur Prisma par type de colonne
+const SHEET_TYPES = {
+  text: { parse: v => v, format: v => v ?? '' },
+  int: {
+    parse: (v) => {
+      const n = Number(v.replace(/\s/g, '').replace(',', '.'));
+      if (!Number.isInteger(n)) throw new Error('nombre entier attendu');
+      return n;
+    },
+    format: v => v ?? '',
+  },
+  bool: {
+    parse: (v) => {
+      const n = normalizeCsvHeader(v);
+      if (SHEET_TRUE.includes(n)) return true;
+      if (SHEET_FALSE.includes(n)) return false;
+      throw new Error('oui / non attendu');
+    },
+    format: v => (v ? 'oui' : 'non'),
+  },
+  date: { parse: parseSheetDate, format: v => (v ? toDayKey(v) : '') },
+  // Liste JSON ["815","C"] <-> "815, C"
+  list: {
+    parse: v => JSON.stringify(v.split(/[,;]/).map(x => x.trim()).filter(Boolean)),
+    format: v => parseJsonArray(v).join(', '),
+  },
+  // JSON libre (tableaux d'absences, vaccinations...)
+  json: {
+    parse: (v) => {
+      try {
+        return JSON.stringify(JSON.parse(v));
+      } catch {
+        throw new Error('JSON invalide');
+      }
+    },
+    format: v => v ?? '',
+  },
+};
 
-  return { headers, rows };
+// Cellule d'un champ JSON objet éclaté en colonnes "Préfixe · clé" (ex: "Usine · Agenouillement", "FCO · validite")
+// oui/non -> booléen ; date Excel d'une clé de date/validité -> AAAA-MM-JJ ; sinon texte tel quel
+function sheetObjectValue(key, v) {
+  const n = normalizeCsvHeader(v);
+  if (['oui', 'vrai', 'true'].includes(n)) return true;
+  if (['non', 'faux', 'false'].includes(n)) return false;
+  if (/validit|date/i.test(key) && /^\d{5}$/.test(v)) return toDayKey(parseSheetDate(v));
+  return v;
 }
 
-// Helper: Parse jours "L; M; M; J; V; S; D" en objet calendrier
-function parseJours(joursStr) {
-  if (!joursStr) return null;
-  
-  const jours = joursStr.split(';').map(j => j.trim().toUpperCase());
-  const mapping = {
-    'L': 'lundi',
-    'M': 'mardi',
-    'J': 'jeudi',
-    'V': 'vendredi',
-    'S': 'samedi',
-    'D': 'dimanche'
-  };
+const VEHICLE_SHEET = {
+  nom: 'Véhicules',
+  model: 'vehicle',
+  entity: 'Vehicle',
+  key: 'parc',
+  columns: [
+    { key: 'parc', label: 'Parc', required: true },
+    { key: 'type', label: 'Type', required: true },
+    { key: 'modele', label: 'Modèle', required: true },
+    { key: 'immat', label: 'Immatriculation', required: true },
+    { key: 'marque', label: 'Marque' },
+    { key: 'statut', label: 'Statut' },
+    { key: 'depot', label: 'Dépôt' },
+    { key: 'km', label: 'Km', type: 'int' },
+    { key: 'annee', label: 'Année', type: 'int' },
+    { key: 'places', label: 'Places', type: 'int' },
+    { key: 'portes', label: 'Portes', type: 'int' },
+    { key: 'boite', label: 'Boîte' },
+    { key: 'moteur', label: 'Moteur' },
+    { key: 'motorisationInfo', label: 'Motorisation' },
+    { key: 'girouette', label: 'Girouette' },
+    { key: 'clim', label: 'Climatisation' },
+    { key: 'pmr', label: 'PMR', type: 'bool' },
+    { key: 'ct', label: 'Contrôle technique', type: 'date' },
+    { key: 'miseEnService', label: 'Mise en service', type: 'date' },
+    { key: 'derniereRevision', label: 'Dernière révision', type: 'date' },
+    { key: 'etatTechnique', label: 'État technique', type: 'int', min: 0, max: 100 },
+    { key: 'proprete', label: 'Propreté', type: 'int', min: 0, max: 100 },
+    { key: 'etatInterieur', label: 'État intérieur', type: 'int', min: 0, max: 100 },
+    { key: 'lignesJson', label: 'Lignes', type: 'list' },
+  ],
+  objects: [
+    { key: 'optionsUsineJson', prefix: 'Usine' },
+    { key: 'optionsAtelierJson', prefix: 'Atelier' },
+    { key: 'optionsSaeivJson', prefix: 'SAEIV' },
+  ],
+  // Valeurs à la création, et pour les champs non nullables vidés dans le fichier
+  defaults: { km: 0, tauxSante: 100, statut: 'Disponible', pmr: false, etatTechnique: 100, proprete: 100, etatInterieur: 100 },
+  // Données normalisées comme les routes véhicules : immat en majuscules, tauxSante aligné sur etatTechnique
+  normalize: (data) => {
+    if (data.immat) data.immat = data.immat.toUpperCase();
+    if (data.etatTechnique != null) data.tauxSante = data.etatTechnique;
+    return data;
+  },
+  afterWrite: (db, { previous, saved, author }) => recordVehicleStatusChange(db, {
+    parc: saved.parc,
+    fromStatus: previous ? previous.statut : null,
+    toStatus: saved.statut,
+    note: 'Import',
+    author,
+  }),
+};
 
-  const calendrier = {
-    lundi: false,
-    mardi: false,
-    mercredi: false,
-    jeudi: false,
-    vendredi: false,
-    samedi: false,
-    dimanche: false
-  };
+const CONDUCTEUR_SHEET = {
+  nom: 'Conducteurs',
+  model: 'conducteur',
+  entity: 'Conducteur',
+  key: 'matricule',
+  columns: [
+    { key: 'matricule', label: 'Matricule', required: true },
+    { key: 'nom', label: 'Nom', required: true },
+    { key: 'prenom', label: 'Prénom', required: true },
+    { key: 'permis', label: 'Permis', required: true },
+    { key: 'embauche', label: 'Embauche', type: 'date' },
+    { key: 'statut', label: 'Statut' },
+    { key: 'typeContrat', label: 'Type de contrat' },
+    { key: 'phone', label: 'Téléphone' },
+    { key: 'email', label: 'Email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+    { key: 'busArticules', label: 'Bus articulés', type: 'bool' },
+    { key: 'autocars', label: 'Autocars', type: 'bool' },
+    { key: 'pmr', label: 'PMR', type: 'bool' },
+    { key: 'vehiMarchandises', label: 'Véhicules marchandises', type: 'bool' },
+    { key: 'heuresMax', label: 'Heures max', type: 'int', min: 0, max: 60 },
+    { key: 'heuresReglementaires', label: 'Heures réglementaires', type: 'int', min: 0, max: 60 },
+    { key: 'vaccinationsJson', label: 'Vaccinations (JSON)', type: 'json' },
+    { key: 'absencesJson', label: 'Absences (JSON)', type: 'json' },
+  ],
+  objects: [
+    { key: 'carteChronosJson', prefix: 'Carte chrono' },
+    { key: 'fcoJson', prefix: 'FCO' },
+    { key: 'securiteJson', prefix: 'Sécurité' },
+    { key: 'visiteMedicaleJson', prefix: 'Visite médicale' },
+    { key: 'contratJson', prefix: 'Contrat' },
+  ],
+  defaults: {
+    statut: 'Actif',
+    typeContrat: 'CDI',
+    heuresMax: 35,
+    heuresReglementaires: 35,
+    busArticules: false,
+    autocars: false,
+    pmr: false,
+    vehiMarchandises: false,
+  },
+  // Date d'embauche obligatoire en base : aujourd'hui à la création, inchangée si vidée ensuite
+  normalize: (data, { creating }) => {
+    if (creating && !data.embauche) data.embauche = new Date();
+    if (!creating && data.embauche === null) delete data.embauche;
+    return data;
+  },
+};
 
-  // Compter les "M" pour identifier mardi et mercredi
-  let mCount = 0;
-  jours.forEach(j => {
-    if (j === 'L') calendrier.lundi = true;
-    else if (j === 'M') {
-      mCount++;
-      if (mCount === 1) calendrier.mardi = true;
-      else if (mCount === 2) calendrier.mercredi = true;
+const SHEET_OBJECT_SEPARATOR = ' · ';
+
+// Enregistrements -> { headers, rows } (libellés de colonnes ; clés des objets JSON en colonnes "Préfixe · clé")
+function sheetExportRows(spec, records) {
+  const objectKeys = spec.objects.map(o => {
+    const keys = new Set();
+    for (const r of records) Object.keys(parseJsonObject(r[o.key]) || {}).forEach(k => keys.add(k));
+    return { ...o, keys: [...keys] };
+  });
+  const headers = [
+    ...spec.columns.map(c => c.label),
+    ...objectKeys.flatMap(o => o.keys.map(k => `${o.prefix}${SHEET_OBJECT_SEPARATOR}${k}`)),
+  ];
+  const rows = records.map((r) => {
+    const row = {};
+    for (const c of spec.columns) row[c.label] = SHEET_TYPES[c.type || 'text'].format(r[c.key]);
+    for (const o of objectKeys) {
+      const obj = parseJsonObject(r[o.key]) || {};
+      for (const k of o.keys) {
+        const v = obj[k];
+        row[`${o.prefix}${SHEET_OBJECT_SEPARATOR}${k}`] = typeof v === 'boolean' ? (v ? 'oui' : 'non')
+          : v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : v;
+      }
     }
-    else if (j === 'J') calendrier.jeudi = true;
-    else if (j === 'V') calendrier.vendredi = true;
-    else if (j === 'S') calendrier.samedi = true;
-    else if (j === 'D') calendrier.dimanche = true;
+    return row;
   });
-
-  return calendrier;
+  return { headers, rows };
 }
 
-// Helper: Parse heures "04h37" -> "04:37"
-function parseHeure(heureStr) {
-  if (!heureStr) return null;
-  return heureStr.replace('h', ':');
+// Comparaison valeur en base / valeur importée (dates à la milliseconde)
+function sameSheetValue(a, b) {
+  if (a instanceof Date || b instanceof Date) return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+  return (a ?? null) === (b ?? null);
 }
 
-// POST /api/import/lignes - Import CSV de lignes
-app.post('/api/import/lignes', async (req, res) => {
-  try {
-    console.log('[IMPORT] POST /api/import/lignes');
+// Import d'un fichier véhicules / conducteurs dans `db` : upsert par clé (parc, matricule)
+// Colonnes absentes du fichier : champs inchangés ; cellule vide : champ vidé (refusé si obligatoire)
+async function processSheetImport(db, spec, files, { author }) {
+  const errors = [];
+  const formats = [];
+  const report = { [spec.entity]: { create: [], update: [], skip: [] } };
+  const bucket = report[spec.entity];
+  const seen = new Map();
 
-    if (!prismaReady) {
-      return res.status(503).json({ error: 'Database not ready' });
+  for (const file of files) {
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(file);
+    } catch (e) {
+      e.message = `${file.filename}: ${e.message}`;
+      e.file = file.filename;
+      throw e;
+    }
+    formats.push(sheet.format);
+
+    const missing = spec.columns.filter(c => c.required && !sheet.headers.includes(normalizeCsvHeader(c.label)));
+    if (missing.length) {
+      const error = new Error(`${file.filename}: colonnes manquantes : ${missing.map(c => c.label).join(', ')}`);
+      error.line = sheet.headerLine ?? 1;
+      error.file = file.filename;
+      throw error;
     }
 
-    let csvText = req.csvContent || req.body || '';
+    const columns = spec.columns
+      .map(c => ({ ...c, index: sheet.headers.indexOf(normalizeCsvHeader(c.label)) }))
+      .filter(c => c.index >= 0);
+    // Colonnes "Préfixe · clé" : la clé garde la casse saisie
+    const objectColumns = spec.objects.map(o => ({
+      ...o,
+      cells: sheet.labels
+        .map((label, index) => ({ label, index, parts: label.split(/\s*·\s*/) }))
+        .filter(x => x.parts.length === 2 && normalizeCsvHeader(x.parts[0]) === normalizeCsvHeader(o.prefix) && x.parts[1])
+        .map(x => ({ key: x.parts[1], header: sheet.headers[x.index], index: x.index })),
+    })).filter(o => o.cells.length);
+    const at = (i, col) => `${files.length > 1 ? `[${file.filename}] ` : ''}Ligne ${sheet.lines[i]}`
+      + (col ? `, colonne ${col.index + 1} (${sheet.labels[col.index]})` : '');
+
+    for (let i = 0; i < sheet.rows.length; i++) {
+      const row = sheet.rows[i];
+      const data = {};
+      const rowErrors = [];
+      for (const col of columns) {
+        const raw = row[sheet.headers[col.index]] ?? '';
+        if (raw === '') {
+          if (col.required) rowErrors.push(`${at(i, col)}: valeur requise`);
+          else data[col.key] = null;
+          continue;
+        }
+        try {
+          const value = SHEET_TYPES[col.type || 'text'].parse(raw);
+          if (col.min !== undefined && (value < col.min || value > col.max)) throw new Error(`valeur attendue entre ${col.min} et ${col.max}`);
+          if (col.pattern && !col.pattern.test(value)) throw new Error('format invalide');
+          data[col.key] = value;
+        } catch (e) {
+          rowErrors.push(`${at(i, col)}: ${e.message} (« ${raw} »)`);
+        }
+      }
+      for (const o of objectColumns) {
+        const obj = {};
+        for (const cell of o.cells) {
+          const raw = row[cell.header] ?? '';
+          if (raw !== '') obj[cell.key] = sheetObjectValue(cell.key, raw);
+        }
+        data[o.key] = Object.keys(obj).length ? JSON.stringify(obj) : null;
+      }
+      if (rowErrors.length) {
+        errors.push(...rowErrors);
+        continue;
+      }
 
-    if (!csvText) {
-      return res.status(400).json({ error: 'Aucun fichier CSV fourni' });
+      const keyValue = data[spec.key];
+      if (seen.has(keyValue)) {
+        errors.push(`${at(i)}: ${spec.key} « ${keyValue} » déjà présent (${seen.get(keyValue)})`);
+        continue;
+      }
+      seen.set(keyValue, at(i));
+
+      const previous = await db[spec.model].findUnique({ where: { [spec.key]: keyValue } });
+      const source = at(i);
+      if (!previous) {
+        const saved = await db[spec.model].create({ data: spec.normalize({ ...spec.defaults, ...stripNulls(data) }, { creating: true }) });
+        bucket.create.push({ source, [spec.key]: keyValue });
+        if (spec.afterWrite) await spec.afterWrite(db, { previous, saved, author });
+        continue;
+      }
+      const wanted = spec.normalize({ ...data }, { creating: false });
+      // Champ obligatoire en base (statut, km...) vidé dans le fichier : valeur par défaut
+      for (const [k, v] of Object.entries(spec.defaults)) if (wanted[k] === null) wanted[k] = v;
+      const changes = Object.entries(wanted)
+        .filter(([k, v]) => !sameSheetValue(previous[k], v))
+        .map(([k, v]) => ({ champ: k, avant: previous[k] ?? null, apres: v }));
+      if (!changes.length) {
+        bucket.skip.push({ source, [spec.key]: keyValue, raison: 'inchangé' });
+        continue;
+      }
+      const saved = await db[spec.model].update({
+        where: { [spec.key]: keyValue },
+        data: Object.fromEntries(changes.map(c => [c.champ, c.apres])),
+      });
+      bucket.update.push({ source, [spec.key]: keyValue, changes });
+      if (spec.afterWrite) await spec.afterWrite(db, { previous, saved, author });
     }
-
-    await processImportLignes(csvText, res);
-  } catch (error) {
-    console.error('[IMPORT] POST /api/import/lignes ERROR ->', error.message);
-    res.status(500).json({ error: error.message });
   }
-});
 
-// Helper: Traiter l'import des lignes
-async function processImportLignes(csvText, res) {
-  const sections = parseCSV(csvText);
+  const counts = { [spec.entity]: { create: bucket.create.length, update: bucket.update.length, skip: bucket.skip.length } };
+  return {
+    errors: errors.length ? errors : undefined,
+    formats,
+    counts,
+    report,
+    message: `${counts[spec.entity].create} créé(s), ${counts[spec.entity].update} modifié(s), ${counts[spec.entity].skip} inchangé(s)`,
+  };
+}
 
-  // Parser les sections
-  const lignesData = sections['LIGNES'] || { headers: [], rows: [] };
-  const arretsData = sections['ARRETS'] || { headers: [], rows: [] };
+// Création : les cellules vides laissent les valeurs par défaut du schéma
+function stripNulls(data) {
+  return Object.fromEntries(Object.entries(data).filter(([, v]) => v !== null));
+}
 
-  // Valider les colonnes requises pour les lignes
-  const requiredColumns = ['numéro de ligne', 'nom de la ligne', 'jours de fonctionnement', 'type', 'premier départ', 'dernier arrivé au dépôt'];
-  const missingColumns = requiredColumns.filter(col => !lignesData.headers.includes(col.toLowerCase()));
+const SPREADSHEET_UPLOAD_TYPES = [
+  'text/*',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/octet-stream',
+];
+
+// IMPORT VÉHICULES (CSV ou XLSX, upsert par parc) ; ?dryRun=true pour le rapport seul
+app.post(
+  '/api/import/vehicles',
+  requireRole(ROLES.ATELIER),
+  multipartUpload,
+  express.raw({ type: SPREADSHEET_UPLOAD_TYPES, limit: '20mb' }),
+  async (req, res) => {
+    await handleTransactionalImport(req, res, {
+      importType: 'vehicles',
+      defaultName: 'vehicules.csv',
+      process: (tx, files) => processSheetImport(tx, VEHICLE_SHEET, files, { author: authorOf(req) }),
+    });
+  }
+);
+
+// IMPORT CONDUCTEURS (CSV ou XLSX, upsert par matricule) ; ?dryRun=true pour le rapport seul
+app.post(
+  '/api/import/conducteurs',
+  requireRole(ROLES.CHEF_EQUIPE),
+  multipartUpload,
+  express.raw({ type: SPREADSHEET_UPLOAD_TYPES, limit: '20mb' }),
+  async (req, res) => {
+    await handleTransactionalImport(req, res, {
+      importType: 'conducteurs',
+      defaultName: 'conducteurs.csv',
+      process: (tx, files) => processSheetImport(tx, CONDUCTEUR_SHEET, files, { author: authorOf(req) }),
+    });
+  }
+);
+
+// Envoie un export en CSV (";" + BOM, pour Excel en français) ou en XLSX selon ?format=
+async function sendSpreadsheet(res, format, spec, records, basename) {
+  const { headers, rows } = sheetExportRows(spec, records);
+  const stamp = getTodayDateParis();
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}-${stamp}.xlsx"`);
+    return res.send(await buildXlsx(spec.nom, headers, rows));
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${basename}-${stamp}.csv"`);
+  res.send(`\uFEFF${toCsv(headers, rows, ';')}`);
+}
 
-  if (missingColumns.length > 0) {
-    throw new Error(`Colonnes manquantes dans [LIGNES]: ${missingColumns.join(', ')}`);
+// EXPORT VÉHICULES ?format=csv|xlsx&depot=&statut=
+app.get('/api/export/vehicles', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ error: 'format attendu : csv ou xlsx' });
+    const where = {};
+    if (req.query.depot) where.depot = String(req.query.depot);
+    if (req.query.statut) where.statut = String(req.query.statut);
+    const vehicles = await prisma.vehicle.findMany({ where, orderBy: { parc: 'asc' } });
+    await sendSpreadsheet(res, format, VEHICLE_SHEET, vehicles, 'vehicules');
+  } catch (e) {
+    console.error('GET /api/export/vehicles ERROR ->', e);
+    res.status(400).json({ error: String(e) });
   }
+});
 
-  let imported = 0;
-  const errors = [];
-  const trajetsMap = new Map(); // Tracker: trajet -> Prisma object
-  
-  // Obtenir la date d'aujourd'hui en heure Paris
-  const todayStr = getTodayDateParis();
-  const [year, month, day] = todayStr.split('-').map(Number);
-  
-  // Créer une date pour "aujourd'hui" en heure Paris
-  // On utilise une date UTC pour éviter les décalages timezone
-  const today = new Date(Date.UTC(year, month - 1, day, 0, 0, 0));
-  
-  // Obtenir le jour de la semaine en heure Paris
-  const tempFormatter = new Intl.DateTimeFormat('fr-FR', { 
-    timeZone: 'Europe/Paris',
-    weekday: 'long'
-  });
-  const todayDayName = tempFormatter.format(today).toLowerCase();
-  const dayNameMap = {
-    'lundi': 1, 'mardi': 2, 'mercredi': 3, 'jeudi': 4,
-    'vendredi': 5, 'samedi': 6, 'dimanche': 0
-  };
-  const todayDayOfWeek = dayNameMap[todayDayName] || 1;
+// EXPORT CONDUCTEURS ?format=csv|xlsx&statut=
+app.get('/api/export/conducteurs', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) return res.status(400).json({ error: 'format attendu : csv ou xlsx' });
+    const where = req.query.statut ? { statut: String(req.query.statut) } : {};
+    const conducteurs = await prisma.conducteur.findMany({ where, orderBy: [{ nom: 'asc' }, { prenom: 'asc' }] });
+    await sendSpreadsheet(res, format, CONDUCTEUR_SHEET, conducteurs, 'conducteurs');
+  } catch (e) {
+    console.error('GET /api/export/conducteurs ERROR ->', e);
+    res.status(400).json({ error: String(e) });
+  }
+});
 
-  // ============ PHASE 1: Importer les lignes, sens, trajets et services ============
-  for (let i = 0; i < lignesData.rows.length; i++) {
-    try {
-      const row = lignesData.rows[i];
-      const numero = row['numéro de ligne']?.trim();
-      const nom = row['nom de la ligne']?.trim();
-      const joursStr = row['jours de fonctionnement']?.trim();
-      const type = row['type']?.trim();
-      const heureDebut = parseHeure(row['premier départ']?.trim());
-      const heureFin = parseHeure(row['dernier arrivé au dépôt']?.trim());
-      const sensNom = row['sens']?.trim();
-      const sensDirection = row['direction']?.trim();
-      const trajetNom = row['trajet']?.trim();
-      const trajetDescription = row['description trajet']?.trim();
+// ========== DOCUMENTS PDF ==========
+// Générés avec pdfkit (polices standard Helvetica, encodage WinAnsi)
 
-      if (!numero || !nom) {
-        errors.push(`Ligne [LIGNES] ${i + 2}: numéro et nom requis`);
-        continue;
-      }
+// Caractères hors Latin-1 présents dans WinAnsi (encodage des polices standard de pdfkit)
+const PDF_WINANSI_EXTRA = new Set('€‚„…Œ‘’“”•–—œŸ');
 
-      const calendrier = parseJours(joursStr);
+// Texte affichable en Helvetica standard : "→" -> "->", espaces fines -> espace, hors WinAnsi -> "?"
+function pdfSafeText(str) {
+  return Array.from(String(str ?? '').replace(/→/g, '->').replace(/[\u202f\u2009]/g, ' '), (ch) => {
+    const code = ch.codePointAt(0);
+    const ok = PDF_WINANSI_EXTRA.has(ch) || (code >= 0x20 && code < 0x80) || (code >= 0xa0 && code <= 0xff);
+    return ok ? ch : '?';
+  }).join('');
+}
 
-      // Chercher si la ligne existe
-      let ligne = await prisma.ligne.findUnique({
-        where: { numero },
-        include: { sens: true }
-      });
+// Mise en page A4 (portrait ou paysage) avec pdfkit : curseur vertical `y`, saut de page automatique, pied de page numéroté
+// Coordonnées en points depuis le coin bas gauche (convention PDF) ; pdfkit compte depuis le haut, d'où top()
+function createPdfLayout({ landscape = false, footer = '' } = {}) {
+  const width = landscape ? 842 : 595;
+  const height = landscape ? 595 : 842;
+  const margin = 36;
+  const doc = new PDFDocument({ size: [width, height], margin: 0, autoFirstPage: false, bufferPages: true });
+  const top = (y) => height - y;
+  const font = (size, bold) => doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size);
+  const measure = (str, size, bold) => font(size, bold).widthOfString(str);
+  // Tronque avec "…" pour tenir dans maxWidth
+  const fit = (str, maxWidth, size, bold) => {
+    let s = str;
+    if (measure(s, size, bold) <= maxWidth) return s;
+    while (s.length && measure(`${s}…`, size, bold) > maxWidth) s = s.slice(0, -1);
+    return `${s}…`;
+  };
 
-      // Si la ligne n'existe pas, la créer
-      if (!ligne) {
-        ligne = await prisma.ligne.create({
-          data: {
-            numero,
-            nom,
-            typesVehicules: JSON.stringify(type ? [type] : ['Standard']),
-            heureDebut,
-            heureFin,
-            calendrierJson: JSON.stringify(calendrier),
-            statut: 'Actif',
-          },
-          include: { sens: true }
-        });
-      } else {
-        // La ligne existe déjà : on ne met à jour que les infos essentielles si elle était vide
-        if (!ligne.nom || ligne.nom === '') {
-          ligne = await prisma.ligne.update({
-            where: { numero },
-            data: {
-              nom,
-              statut: 'Actif',
-            },
-            include: { sens: true }
-          });
-        }
+  const layout = {
+    width,
+    height,
+    margin,
+    y: 0,
+    onNewPage: null,
+    addPage() {
+      doc.addPage();
+      layout.y = height - margin;
+      if (layout.onNewPage) layout.onNewPage();
+    },
+    // (x, y) = point de la ligne de base ; align par rapport à x
+    text(x, y, str, { size = 10, bold = false, align = 'left', maxWidth } = {}) {
+      const plain = pdfSafeText(str);
+      const s = maxWidth ? fit(plain, maxWidth, size, bold) : plain;
+      const w = measure(s, size, bold);
+      const left = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+      font(size, bold).text(s, left, top(y), { lineBreak: false, baseline: 'alphabetic' });
+    },
+    line(x1, y1, x2, y2, { lineWidth = 0.5 } = {}) {
+      doc.lineWidth(lineWidth).moveTo(x1, top(y1)).lineTo(x2, top(y2)).stroke();
+    },
+    // (x, y) = coin bas gauche ; fill = niveau de gris (0 noir, 1 blanc)
+    rect(x, y, w, h, { fill = null, stroke = true } = {}) {
+      if (fill != null) {
+        const g = Math.round(fill * 255);
+        doc.rect(x, top(y + h), w, h).fill([g, g, g]).fillColor('black');
       }
-
-      // Créer/mettre à jour le sens
-      let sens = null;
-      if (sensNom) {
-        sens = await prisma.sens.upsert({
-          where: {
-            ligneId_nom: {
-              ligneId: ligne.id,
-              nom: sensNom,
-            },
-          },
-          create: {
-            ligneId: ligne.id,
-            nom: sensNom,
-            direction: sensDirection || null,
-            statut: 'Actif',
-          },
-          update: {
-            direction: sensDirection || null,
-          },
-        });
+      if (stroke) doc.lineWidth(0.5).rect(x, top(y + h), w, h).stroke();
+    },
+    // Réserve `h` points sous le curseur (nouvelle page si nécessaire) ; true si saut de page
+    ensure(h) {
+      if (layout.y - h >= margin + 14) return false;
+      layout.addPage();
+      return true;
+    },
+    // Texte sur plusieurs lignes (retour à la ligne sur les espaces)
+    paragraph(x, str, { size = 9, bold = false, maxWidth = width - 2 * margin - (x - margin) } = {}) {
+      let current = '';
+      const flush = () => {
+        layout.ensure(size + 3);
+        layout.y -= size + 3;
+        layout.text(x, layout.y, current, { size, bold });
+        current = '';
+      };
+      for (const word of pdfSafeText(str).split(/\s+/).filter(Boolean)) {
+        const next = current ? `${current} ${word}` : word;
+        if (current && measure(next, size, bold) > maxWidth) {
+          flush();
+          current = word;
+        } else current = next;
       }
-
-      // Créer/mettre à jour le trajet
-      let trajet = null;
-      if (trajetNom && sens) {
-        trajet = await prisma.trajet.upsert({
-          where: {
-            ligneId_nom: {
-              ligneId: ligne.id,
-              nom: trajetNom,
-            },
-          },
-          create: {
-            ligneId: ligne.id,
-            sensId: sens.id,
-            nom: trajetNom,
-            description: trajetDescription || null,
-            statut: 'Actif',
-          },
-          update: {
-            description: trajetDescription || null,
-          },
+      if (current) flush();
+    },
+    // Tableau : columns [{ label, width, align }] ; en-tête répété après un saut de page
+    table(columns, rows, { size = 9, rowHeight = size + 7, after } = {}) {
+      const x0 = margin;
+      const header = () => {
+        layout.rect(x0, layout.y - rowHeight, columns.reduce((t, c) => t + c.width, 0), rowHeight, { fill: 0.88 });
+        let x = x0;
+        for (const c of columns) {
+          layout.text(c.align === 'right' ? x + c.width - 4 : x + 4, layout.y - rowHeight + 5, c.label, { size, bold: true, align: c.align, maxWidth: c.width - 8 });
+          x += c.width;
+        }
+        layout.y -= rowHeight;
+      };
+      layout.ensure(rowHeight * 2);
+      header();
+      rows.forEach((row, i) => {
+        if (layout.ensure(rowHeight)) header();
+        let x = x0;
+        columns.forEach((c, j) => {
+          const cell = row[j];
+          const opts = typeof cell === 'object' && cell !== null ? cell : { value: cell };
+          layout.text(c.align === 'right' ? x + c.width - 4 : x + 4, layout.y - rowHeight + 5, opts.value ?? '', {
+            size, bold: opts.bold, align: c.align, maxWidth: c.width - 8,
+          });
+          x += c.width;
         });
-        trajetsMap.set(trajetNom, trajet);
+        layout.y -= rowHeight;
+        layout.line(x0, layout.y, x0 + columns.reduce((t, c) => t + c.width, 0), layout.y, { lineWidth: 0.3 });
+        if (after) after(row, i);
+      });
+    },
+    // Pieds de page (le nombre de pages n'est connu qu'à la fin) puis PDF complet -> Promise<Buffer>
+    toBuffer({ title }) {
+      doc.info.Title = title;
+      doc.info.Producer = 'TC Outil';
+      const { start, count } = doc.bufferedPageRange();
+      for (let i = start; i < start + count; i++) {
+        doc.switchToPage(i);
+        layout.text(margin, margin - 14, footer, { size: 8 });
+        layout.text(width - margin, margin - 14, `Page ${i + 1} / ${count}`, { size: 8, align: 'right' });
       }
+      return new Promise((resolve, reject) => {
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        doc.end();
+      });
+    },
+  };
+  layout.addPage();
+  return layout;
+}
 
-      // Créer les services
-      for (let j = 1; j <= 20; j++) {
-        const serviceBeginKey = `service ${j} début`.toLowerCase();
-        const serviceEndKey = `service ${j} fin`.toLowerCase();
+const dateLongueFr = (day) => new Intl.DateTimeFormat('fr-FR', {
+  weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC',
+}).format(day);
 
-        const serviceBegin = row[serviceBeginKey]?.trim();
-        const serviceEnd = row[serviceEndKey]?.trim();
+function sendPdf(res, buffer, filename) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(buffer);
+}
 
-        if (serviceBegin && serviceEnd) {
-          const heureDebuitService = parseHeure(serviceBegin);
-          const heureFinService = parseHeure(serviceEnd);
+// Paramètre ?date= (défaut : aujourd'hui, Europe/Paris) -> { dayKey, day } ou null
+function parseDayParam(value) {
+  const dayKey = toDayKey(value || getTodayDateParis());
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dayKey)) return null;
+  return { dayKey, day: new Date(`${dayKey}T00:00:00.000Z`) };
+}
 
-          if (heureDebuitService && heureFinService) {
-            // Créer le service pour chaque jour de fonctionnement
-            const joursActive = Object.keys(calendrier).filter(jour => calendrier[jour]);
+// Feuille de service d'un conducteur : une page (ou plus) par conducteur et par jour
+function renderFeuilleService(layout, { conducteur, day, services, trajetsByLigne }) {
+  const { margin, width } = layout;
+  layout.text(margin, layout.y - 16, 'FEUILLE DE SERVICE', { size: 16, bold: true });
+  layout.text(width - margin, layout.y - 16, dateLongueFr(day), { size: 11, bold: true, align: 'right' });
+  layout.y -= 36;
+  layout.text(margin, layout.y, `${conducteur.prenom} ${conducteur.nom.toUpperCase()}`, { size: 12, bold: true });
+  layout.text(width - margin, layout.y, `Matricule ${conducteur.matricule} — Permis ${conducteur.permis}`, { size: 10, align: 'right' });
+
+  const intervals = services.map(serviceInterval);
+  const debut = Math.min(...intervals.map(i => i.start));
+  const fin = Math.max(...intervals.map(i => i.end));
+  const conduite = intervals.reduce((t, i) => t + i.end - i.start, 0);
+  const dayStart = Math.floor(day.getTime() / 60000);
+  layout.y -= 18;
+  layout.text(margin, layout.y, [
+    `Prise de service ${minutesToHeure(debut - dayStart)}`,
+    `Fin ${minutesToHeure(fin - dayStart)}${fin - dayStart >= 1440 ? ' (J+1)' : ''}`,
+    `Amplitude ${formatMinutes(fin - debut)}`,
+    `Temps en service ${formatMinutes(conduite)}`,
+    `${services.length} service(s)`,
+  ].join('   •   '), { size: 9 });
+  layout.y -= 14;
+
+  const contentWidth = width - 2 * margin;
+  const columns = [
+    { label: 'Début', width: 44 },
+    { label: 'Fin', width: 44 },
+    { label: 'Ligne', width: 46 },
+    { label: 'Sens / direction', width: 150 },
+    { label: 'Trajet', width: contentWidth - 44 - 44 - 46 - 150 - 110 },
+    { label: 'Véhicule', width: 110 },
+  ];
+  const details = services.map((s) => {
+    const trajet = trajetForService(s, trajetsByLigne);
+    return { trajet, horaires: trajet ? serviceHoraires(s, trajet) : null };
+  });
+  layout.table(columns, services.map((s, i) => [
+    { value: s.heureDebut, bold: true },
+    s.heureFin,
+    { value: s.ligne.numero, bold: true },
+    s.sens ? `${s.sens.nom}${s.sens.direction ? ` — ${s.sens.direction}` : ''}` : '—',
+    details[i].trajet?.nom || 'Trajet non renseigné',
+    s.vehicle ? `${s.vehicle.parc} (${s.vehicle.immat})` : 'À affecter',
+  ]), {
+    after: (row, i) => {
+      const h = details[i].horaires;
+      if (!h) return;
+      layout.paragraph(margin + 8, h.arrets.map(a => `${a.nom} ${a.heure}`).join('  ·  '), { size: 7.5 });
+      if (h.incoherenceHeureFin) {
+        layout.paragraph(margin + 8, `Attention : fin calculée ${h.heureFinCalculee} (écart ${h.ecartFinMinutes} min avec l'heure de fin prévue)`, { size: 7.5, bold: true });
+      }
+      layout.y -= 4;
+    },
+  });
 
-            for (const jour of joursActive) {
-              const serviceDate = new Date(today);
-              const dayMap = {
-                'lundi': 1, 'mardi': 2, 'mercredi': 3, 'jeudi': 4,
-                'vendredi': 5, 'samedi': 6, 'dimanche': 0,
-              };
+  layout.ensure(110);
+  layout.y -= 20;
+  layout.text(margin, layout.y, 'Observations', { size: 10, bold: true });
+  layout.rect(margin, layout.y - 60, contentWidth, 52);
+  layout.y -= 80;
+  layout.text(margin, layout.y, 'Signature du conducteur :', { size: 9 });
+  layout.text(margin + contentWidth / 2, layout.y, 'Visa exploitation :', { size: 9 });
+}
 
-              const targetDay = dayMap[jour];
-              const currentDay = todayDayOfWeek; // Utiliser le jour correct en heure Paris
-              let daysToAdd = targetDay - currentDay;
-              
-              // Si le jour est dans le passé cette semaine, prendre la semaine prochaine
-              // Si c'est le même jour, aussi prendre la semaine prochaine
-              if (daysToAdd <= 0) daysToAdd += 7;
+// Fiche horaire d'un trajet : grille arrêts x services, découpée en blocs de colonnes
+function renderFicheHoraire(layout, fiche, day) {
+  const { margin, width } = layout;
+  const stopCol = 180;
+  const timeCol = 38;
+  const perBlock = Math.max(1, Math.floor((width - 2 * margin - stopCol) / timeCol));
+  const blocks = [];
+  for (let i = 0; i < fiche.services.length; i += perBlock) blocks.push(i);
+
+  const title = () => {
+    layout.text(margin, layout.y - 16, `Ligne ${fiche.ligne.numero} — ${fiche.ligne.nom}`, { size: 15, bold: true, maxWidth: width - 2 * margin - 170 });
+    layout.text(width - margin, layout.y - 16, dateLongueFr(day), { size: 10, align: 'right' });
+    layout.y -= 32;
+    const sens = fiche.sens ? `${fiche.sens.nom}${fiche.sens.direction ? ` — ${fiche.sens.direction}` : ''}` : 'Sens non renseigné';
+    layout.text(margin, layout.y, `${sens}   •   Trajet : ${fiche.trajet.nom}`, { size: 10, bold: true, maxWidth: width - 2 * margin });
+    layout.y -= 10;
+  };
 
-              serviceDate.setDate(serviceDate.getDate() + daysToAdd);
+  title();
+  if (!fiche.services.length) {
+    layout.y -= 16;
+    layout.text(margin, layout.y, 'Aucun service ce jour.', { size: 10 });
+    return;
+  }
+  blocks.forEach((start, b) => {
+    if (b > 0) {
+      layout.addPage();
+      title();
+    }
+    const cols = fiche.services.slice(start, start + perBlock);
+    layout.table(
+      [{ label: 'Arrêt', width: stopCol }, ...cols.map(s => ({ label: `${s.heureDebut}${s.incoherenceHeureFin ? ' !' : ''}`, width: timeCol, align: 'right' }))],
+      fiche.arrets.map(a => [{ value: a.nom, bold: true }, ...a.horaires.slice(start, start + perBlock)]),
+      { size: 8, rowHeight: 14 }
+    );
+  });
+  if (fiche.incoherences) {
+    layout.y -= 6;
+    layout.paragraph(margin, `! : heure de fin prévue différente du temps de parcours du trajet (${fiche.incoherences} service(s)).`, { size: 7.5 });
+  }
+}
 
-              // Créer le service
-              await prisma.service.create({
-                data: {
-                  ligneId: ligne.id,
-                  sensId: sens?.id || null,
-                  date: serviceDate,
-                  heureDebut: heureDebuitService,
-                  heureFin: heureFinService,
-                  statut: 'Planifiée',
-                },
-              }).catch(() => {
-                // Ignorer les doublons
-              });
-            }
-          }
-        }
-      }
+// FEUILLES DE SERVICE ?date=&conducteurId= : une feuille par conducteur ayant des services ce jour-là
+app.get('/api/documents/feuilles-service', async (req, res) => {
+  try {
+    const parsed = parseDayParam(req.query.date);
+    if (!parsed) return res.status(400).json({ error: 'Paramètre date invalide (YYYY-MM-DD)' });
+    const { dayKey, day } = parsed;
+
+    const where = { date: { gte: day, lt: new Date(day.getTime() + DAY_MS) }, statut: { not: 'Annulée' }, conducteurId: { not: null } };
+    if (req.query.conducteurId) where.conducteurId = req.query.conducteurId;
+    const [services, ctx] = await Promise.all([
+      prisma.service.findMany({
+        where,
+        include: { ligne: true, sens: true, template: true, conducteur: true, vehicle: true },
+        orderBy: { heureDebut: 'asc' },
+      }),
+      loadCalendarContext(prisma, day, day),
+    ]);
+    const running = services.filter(s => serviceRunsPerCalendar(ctx, s));
+    if (!running.length) return res.status(404).json({ error: `Aucun service affecté le ${dayKey}` });
 
-      imported++;
-    } catch (error) {
-      errors.push(`Ligne [LIGNES] ${i + 2}: ${error.message}`);
+    const byConducteur = new Map();
+    for (const s of running) {
+      if (!byConducteur.has(s.conducteurId)) byConducteur.set(s.conducteurId, { conducteur: s.conducteur, services: [] });
+      byConducteur.get(s.conducteurId).services.push(s);
     }
+    const trajetsByLigne = await loadTrajetsByLigne(prisma, [...new Set(running.map(s => s.ligneId))]);
+
+    const layout = createPdfLayout({ footer: `Feuilles de service du ${dayKey} — édité par ${authorOf(req)}` });
+    const feuilles = [...byConducteur.values()].sort((a, b) => a.conducteur.nom.localeCompare(b.conducteur.nom, 'fr'));
+    feuilles.forEach((f, i) => {
+      if (i > 0) layout.addPage();
+      renderFeuilleService(layout, { ...f, day, trajetsByLigne });
+    });
+    sendPdf(res, await layout.toBuffer({ title: `Feuilles de service ${dayKey}` }), `feuilles-service-${dayKey}.pdf`);
+  } catch (e) {
+    console.error('GET /api/documents/feuilles-service ERROR ->', e);
+    res.status(400).json({ error: String(e) });
   }
+});
 
-  // ============ PHASE 2: Importer les arrêts ============
-  for (let i = 0; i < arretsData.rows.length; i++) {
-    try {
-      const row = arretsData.rows[i];
-      const trajetNom = row['trajet']?.trim();
-      const ordre = parseInt(row['ordre']) || 0;
-      const nomArret = row['nom arrêt']?.trim();
-      const temps = parseInt(row['temps depuis arrêt précédent (min)']) || 0;
+// FICHES HORAIRES ?ligneId=&sensId=&date= : une fiche par ligne / sens (et par trajet du sens), en paysage
+app.get('/api/documents/fiches-horaires', async (req, res) => {
+  try {
+    const parsed = parseDayParam(req.query.date);
+    if (!parsed) return res.status(400).json({ error: 'Paramètre date invalide (YYYY-MM-DD)' });
+    const { dayKey, day } = parsed;
 
-      if (!trajetNom || !nomArret) {
-        errors.push(`Ligne [ARRETS] ${i + 2}: trajet et nom arrêt requis`);
-        continue;
-      }
+    const lignes = await prisma.ligne.findMany({
+      where: req.query.ligneId ? { id: req.query.ligneId } : { statut: 'Actif' },
+      include: { sens: { orderBy: { ordre: 'asc' } } },
+      orderBy: { numero: 'asc' },
+    });
+    if (!lignes.length) return res.status(404).json({ error: 'Ligne introuvable' });
+    const ligneIds = lignes.map(l => l.id);
+
+    const [trajetsByLigne, services, ctx] = await Promise.all([
+      loadTrajetsByLigne(prisma, ligneIds),
+      prisma.service.findMany({
+        where: { ligneId: { in: ligneIds }, date: { gte: day, lt: new Date(day.getTime() + DAY_MS) }, statut: { not: 'Annulée' } },
+        include: { template: true, conducteur: true },
+        orderBy: { heureDebut: 'asc' },
+      }),
+      loadCalendarContext(prisma, day, day),
+    ]);
 
-      const trajet = trajetsMap.get(trajetNom);
-      if (!trajet) {
-        errors.push(`Ligne [ARRETS] ${i + 2}: trajet "${trajetNom}" non trouvé`);
-        continue;
+    const fiches = [];
+    for (const ligne of lignes) {
+      const ligneServices = services.filter(s => s.ligneId === ligne.id);
+      for (const trajet of trajetsByLigne.get(ligne.id) || []) {
+        if (req.query.sensId && trajet.sensId !== req.query.sensId) continue;
+        const sens = ligne.sens.find(se => se.id === trajet.sensId) || null;
+        const fiche = ficheHoraire({ ...trajet, ligne }, sens, ligneServices, { ctx, trajetsByLigne });
+        if (fiche.services.length || req.query.ligneId) fiches.push({ fiche, ordre: sens?.ordre ?? 99 });
       }
-
-      // Créer l'arrêt
-      await prisma.arret.upsert({
-        where: {
-          trajetId_ordre: {
-            trajetId: trajet.id,
-            ordre: ordre,
-          },
-        },
-        create: {
-          trajetId: trajet.id,
-          nom: nomArret,
-          ordre: ordre,
-          tempsArriveeAntecedent: temps,
-        },
-        update: {
-          nom: nomArret,
-          tempsArriveeAntecedent: temps,
-        },
-      });
-    } catch (error) {
-      errors.push(`Ligne [ARRETS] ${i + 2}: ${error.message}`);
     }
+    if (!fiches.length) return res.status(404).json({ error: `Aucune fiche horaire pour le ${dayKey}` });
+    // Par ligne, puis par sens (ordre), puis par trajet
+    fiches.sort((a, b) => a.fiche.ligne.numero.localeCompare(b.fiche.ligne.numero, 'fr', { numeric: true }) || a.ordre - b.ordre);
+
+    const layout = createPdfLayout({ landscape: true, footer: `Fiches horaires du ${dayKey}` });
+    fiches.forEach(({ fiche }, i) => {
+      if (i > 0) layout.addPage();
+      renderFicheHoraire(layout, fiche, day);
+    });
+    const suffix = lignes.length === 1 ? `-ligne-${lignes[0].numero}` : '';
+    sendPdf(res, await layout.toBuffer({ title: `Fiches horaires ${dayKey}` }), `fiches-horaires${suffix}-${dayKey}.pdf`);
+  } catch (e) {
+    console.error('GET /api/documents/fiches-horaires ERROR ->', e);
+    res.status(400).json({ error: String(e) });
   }
-
-  res.json({
-    imported,
-    errors: errors.length > 0 ? errors : undefined,
-    message: `${imported} ligne(s) et ${arretsData.rows.length} arrêt(s) importée(s)`,
-  });
-}
+});
 
 // ---------- error handler (global) ----------
 app.use((err, req, res, next) => {
@@ -1919,6 +7095,26 @@ const HOST = '0.0.0.0';
 console.log('[STARTUP] Configured PORT:', PORT);
 console.log('[STARTUP] Configured HOST:', HOST);
 
+// Premier démarrage : créer un compte Admin depuis ADMIN_USERNAME / ADMIN_PASSWORD
+async function ensureBootstrapAdmin() {
+  try {
+    const count = await prisma.user.count();
+    if (count > 0) return;
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+      console.warn('[STARTUP] ⚠️  No user in database and ADMIN_PASSWORD not set - nobody can log in');
+      return;
+    }
+    await prisma.user.create({
+      data: { username, passwordHash: hashPassword(password), role: ROLES.ADMIN, nom: 'Administrateur' },
+    });
+    console.log(`[STARTUP] ✅ Bootstrap admin "${username}" created`);
+  } catch (e) {
+    console.error('[STARTUP] ❌ Bootstrap admin failed ->', e.message);
+  }
+}
+
 // Vérifier la connexion à la base de données avant de démarrer
 async function startServer() {
   console.log('[STARTUP] startServer() called');
@@ -1940,6 +7136,8 @@ async function startServer() {
     prismaReady = true;
     
     console.log(`✅ Database connection successful (${duration}ms)`);
+
+    await ensureBootstrapAdmin();
   } catch (error) {
     console.error('❌ Database connection failed:', error.message);
     console.error('[ERROR] Stack:', error.stack);
@@ -1958,9 +7156,16 @@ async function startServer() {
     console.log(`🔌 PORT=${PORT}`);
   });
 
+  // Services non pris : contrôle chaque minute (base connectée)
+  const nonPrisTimer = setInterval(() => {
+    if (!prismaReady) return;
+    flagNonPrisServices(prisma).catch(e => console.error('[POINTAGES] Non pris ERROR ->', e.message));
+  }, 60 * 1000);
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    clearInterval(nonPrisTimer);
     server.close(() => {
       console.log('Server closed');
       prisma.$disconnect().then(() => process.exit(0));